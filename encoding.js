@@ -69,6 +69,36 @@ if (HAS_TYPED) {
 var APPLY_BUFFER_SIZE = 65533;
 var APPLY_BUFFER_SIZE_OK = null;
 
+// Test for the native codecs (TextDecoder, TextEncoder and Node.js Buffer).
+// The TextDecoder and TextEncoder of this module are excluded
+//  when they are assigned to the global object as a polyfill.
+var NATIVE_GLOBAL = typeof globalThis !== 'undefined' ? globalThis :
+  typeof self !== 'undefined' ? self :
+  typeof window !== 'undefined' ? window :
+  typeof global !== 'undefined' ? global : {};
+
+var NativeTextDecoder = HAS_TYPED &&
+  typeof NATIVE_GLOBAL.TextDecoder === 'function' &&
+  NATIVE_GLOBAL.TextDecoder !== TextDecoder ? NATIVE_GLOBAL.TextDecoder : null;
+
+var NativeTextEncoder = HAS_TYPED &&
+  typeof NATIVE_GLOBAL.TextEncoder === 'function' &&
+  NATIVE_GLOBAL.TextEncoder !== TextEncoder ? NATIVE_GLOBAL.TextEncoder : null;
+
+var HAS_NATIVE_BUFFER = HAS_TYPED && typeof Buffer === 'function' &&
+  typeof Buffer.from === 'function' && Buffer.from !== Uint8Array.from;
+
+// Test for the byte order of Uint16Array (UTF-16LE bytes).
+var IS_LITTLE_ENDIAN = HAS_TYPED &&
+  new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// The data shorter than this is converted by JavaScript
+//  since it is faster than calling the native codecs.
+var NATIVE_MIN_LENGTH = 64;
+
+// Use the native codecs if available (Encoding.useNative).
+var USE_NATIVE = true;
+
 
 /**
  * Encoding names.
@@ -77,31 +107,38 @@ var APPLY_BUFFER_SIZE_OK = null;
  */
 var EncodingNames = {
   UTF32: {
-    order: 0
+    order: 10
   },
   UTF32BE: {
     alias: ['UCS4']
   },
   UTF32LE: null,
   UTF16: {
-    order: 1
+    order: 20
   },
   UTF16BE: {
     alias: ['UCS2']
   },
   UTF16LE: null,
   BINARY: {
-    order: 2
+    order: 30
   },
   ASCII: {
-    order: 3,
-    alias: ['ISO646', 'CP367']
+    order: 40,
+    alias: ['ISO646', 'CP367', 'USASCII']
   },
   UTF8: {
-    order: 5
+    order: 50
+  },
+  CESU8: {
+    order: 60
+  },
+  MUTF8: {
+    order: 70,
+    alias: ['MODIFIEDUTF8', 'JAVAUTF8']
   },
   UNICODE: {
-    order: 8
+    order: 100
   }
 };
 
@@ -118,36 +155,8 @@ var EncodingAliases = {};
  * @ignore
  */
 var EncodingOrders = (function() {
-  var aliases = EncodingAliases;
-
-  var names = getKeys(EncodingNames);
-  var orders = [];
-  var name, encoding, j, l;
-
-  for (var i = 0, len = names.length; i < len; i++) {
-    name = names[i];
-    aliases[name] = name;
-
-    encoding = EncodingNames[name];
-    if (encoding != null) {
-      if (typeof encoding.order !== 'undefined') {
-        orders[orders.length] = name;
-      }
-
-      if (encoding.alias) {
-        // Create the encoding aliases.
-        for (j = 0, l = encoding.alias.length; j < l; j++) {
-          aliases[encoding.alias[j]] = name;
-        }
-      }
-    }
-  }
-
-  orders.sort(function(a, b) {
-    return EncodingNames[a].order - EncodingNames[b].order;
-  });
-
-  return orders;
+  updateEncodingAliases();
+  return updateEncodingOrders([]);
 }());
 
 
@@ -169,54 +178,91 @@ var Encoding = {
    * @ignore
    */
   orders: EncodingOrders,
+  /**
+   * The error of malformed input (thrown with the errors option 'fatal').
+   *
+   * @see EncodingError
+   * @public
+   * @type {Function}
+   */
+  EncodingError: EncodingError,
+  /**
+   * The TextDecoder of WHATWG Encoding Standard.
+   *
+   * @see TextDecoder
+   * @public
+   * @type {Function}
+   */
+  TextDecoder: TextDecoder,
+  /**
+   * The TextEncoder of WHATWG Encoding Standard.
+   *
+   * @see TextEncoder
+   * @public
+   * @type {Function}
+   */
+  TextEncoder: TextEncoder,
   /**
    * Detects character encoding.
    *
    * If encodings is "AUTO", or the encoding-list as an array, or
    *   comma separated list string it will be detected automatically.
    *
-   * @param {Array.<number>|TypedArray|string} data The data being detected.
-   * @param {(Object|string|Array.<string>)=} [encodings] The encoding-list of
-   *   character encoding.
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} data
+   *   The data being detected.
+   * @param {(Object|string|Array.<string>)=} [options] The options, or
+   *   the encoding-list of character encoding.
+   *   - encodings {(string|Array.<string>)} The encoding-list.
+   *   - maxBytes {number} Detect from the first maxBytes bytes only.
+   *   - allowControlChars {boolean} Treat the control characters
+   *      (including NUL) as text in ASCII and UTF-8.
+   *   - preferBOM {boolean} Returns the encoding of BOM if found,
+   *      regardless of the order of encodings.
    * @return {string|boolean} The detected character encoding, or false.
    *
    * @public
    * @function
    */
-  detect: function(data, encodings) {
+  detect: function(data, options) {
+    var encodings = options;
+    if (isObject(options) && !isArray(options)) {
+      encodings = options.encodings || options.encoding;
+    } else {
+      options = {};
+    }
+
+    data = toArrayData(data);
     if (data == null || data.length === 0) {
       return false;
     }
 
-    if (isObject(encodings) && !isArray(encodings)) {
-      encodings = encodings.encoding;
+    // The last sequence may be cut off when the data is truncated.
+    var partial = false;
+    if (options.maxBytes > 0 && data.length > options.maxBytes) {
+      data = sliceData(data, 0, options.maxBytes);
+      partial = true;
     }
 
-    if (isString(data)) {
-      data = stringToBuffer(data);
-    }
+    encodings = getEncodingList(encodings);
 
-    if (encodings == null) {
-      encodings = Encoding.orders;
-    } else {
-      if (isString(encodings)) {
-        encodings = encodings.toUpperCase();
-        if (encodings === 'AUTO') {
-          encodings = Encoding.orders;
-        } else if (~encodings.indexOf(',')) {
-          encodings = encodings.split(/\s*,\s*/);
-        } else {
-          encodings = [encodings];
+    var len = encodings.length;
+    var e, encoding, method;
+
+    if (options.preferBOM) {
+      var bom = getBOM(data);
+      for (var j = 0; bom !== null && j < len; j++) {
+        encoding = findEncodingName(encodings[j]);
+        if (encoding !== null && isBOMOf(bom, encoding)) {
+          return encoding;
         }
       }
     }
 
-    var len = encodings.length;
-    var e, encoding, method;
     for (var i = 0; i < len; i++) {
       e = encodings[i];
-      encoding = assignEncodingName(e);
-      if (!encoding) {
+      // The unknown encoding names are skipped.
+      encoding = findEncodingName(e);
+      if (encoding === null) {
         continue;
       }
 
@@ -225,7 +271,7 @@ var Encoding = {
         throw new Error('Undefined encoding: ' + e);
       }
 
-      if (EncodingDetect[method](data)) {
+      if (detectEncoding(encoding, data, options, partial)) {
         return encoding;
       }
     }
@@ -233,196 +279,853 @@ var Encoding = {
     return false;
   },
   /**
-   * Convert character encoding.
+   * Detects character encoding with all detectors, and returns the
+   *  candidates sorted by the confidence.
    *
-   * If `from` is "AUTO", or the encoding-list as an array, or
-   *   comma separated list string it will be detected automatically.
+   * Each candidate is an object that has the following properties:
    *
-   * @param {Array.<number>|TypedArray|string} data The data being converted.
-   * @param {(string|Object)} to The name of encoding to.
-   * @param {(string|Array.<string>)=} [from] The encoding-list of
-   *   character encoding.
-   * @return {Array|TypedArray|string} The converted data.
+   *   - encoding {string} The encoding name.
+   *   - confidence {number} The confidence in the range 0 - 1.
+   *   - evidence {Object}:
+   *     - bom {boolean} Whether the BOM of the encoding is found.
+   *     - invalid {number} The number of invalid sequences.
+   *     - nulls {Object} The number of null bytes at the even and
+   *        odd positions ({even: number, odd: number}).
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} data
+   *   The data being detected.
+   * @param {(Object|string|Array.<string>)=} [options] The options, or
+   *   the encoding-list of character encoding.
+   *   - encodings {(string|Array.<string>)} The encoding-list.
+   * @return {Array.<Object>} The candidates.
    *
    * @public
    * @function
    */
-  convert: function(data, to, from) {
-    var result;
-    var type;
-    var options = {};
-
-    if (isObject(to)) {
-      options = to;
-      from = options.from;
-      to = options.to;
-      if (options.type) {
-        type = options.type;
-      }
+  detectAll: function(data, options) {
+    var encodings = options;
+    if (isObject(options) && !isArray(options)) {
+      encodings = options.encodings;
     }
 
-    if (isString(data)) {
-      type = type || 'string';
-      data = stringToBuffer(data);
-    } else if (data == null || data.length === 0) {
-      data = [];
+    data = toArrayData(data);
+    if (data == null || data.length === 0) {
+      return [];
     }
 
-    var encodingFrom;
-    if (from != null && isString(from) &&
-        from.toUpperCase() !== 'AUTO' && !~from.indexOf(',')) {
-      encodingFrom = assignEncodingName(from);
-    } else {
-      encodingFrom = Encoding.detect(data);
-    }
+    encodings = getEncodingList(encodings);
 
-    var encodingTo = assignEncodingName(to);
-    var method = encodingFrom + 'To' + encodingTo;
+    var stats = getByteStats(data);
+    var candidates = [];
+    var indexes = [];
+    var e, encoding, method, evidence;
 
-    if (hasOwnProperty.call(EncodingConvert, method)) {
-      result = EncodingConvert[method](data, options);
-    } else {
-      // Returns the raw data if the method is undefined.
-      result = data;
+    for (var i = 0, len = encodings.length; i < len; i++) {
+      e = encodings[i];
+      // The unknown encoding names are skipped.
+      encoding = findEncodingName(e);
+      if (encoding === null) {
+        continue;
+      }
+
+      method = 'is' + encoding;
+      if (!hasOwnProperty.call(EncodingDetect, method)) {
+        throw new Error('Undefined encoding: ' + e);
+      }
+
+      evidence = {
+        bom: isBOMOf(stats.bom, encoding),
+        invalid: countInvalid(encoding, data),
+        nulls: {
+          even: stats.nulls.even,
+          odd: stats.nulls.odd
+        }
+      };
+
+      indexes[indexes.length] = candidates.length;
+      candidates[candidates.length] = {
+        encoding: encoding,
+        confidence: getConfidence(encoding,
+          detectEncoding(encoding, data, options, false), evidence, stats),
+        evidence: evidence
+      };
     }
 
-    switch (('' + type).toLowerCase()) {
-      case 'string':
-        return codeToString_fast(result);
-      case 'arraybuffer':
-        return codeToBuffer(result);
-      case 'array':
-        /* falls through */
-      default:
-        return bufferToCode(result);
+    // Keep the order of encodings if the confidence is same.
+    indexes.sort(function(a, b) {
+      return candidates[b].confidence - candidates[a].confidence || a - b;
+    });
+
+    var results = [];
+    for (i = 0, len = indexes.length; i < len; i++) {
+      results[i] = candidates[indexes[i]];
     }
+
+    return results;
   },
   /**
-   * Encode a character code array to URL string like encodeURIComponent.
+   * Create the detector that detects the character encoding
+   *  from the data given as chunks.
    *
-   * @param {Array.<number>|TypedArray} data The data being encoded.
-   * @return {string} The percent encoded string.
+   * The state of each detector is kept across the chunk boundaries,
+   *  so the result of `end()` is the same as `detect()` with the whole data.
+   *
+   * @example
+   *   var detector = Encoding.createDetector();
+   *   detector.push(chunk1);
+   *   detector.detect(); // The current best guess
+   *   detector.push(chunk2);
+   *   detector.end(); // The final result
+   *
+   * @param {(Object|string|Array.<string>)=} [options] The options, or
+   *   the encoding-list of character encoding.
+   *   - encodings {(string|Array.<string>)} The encoding-list.
+   * @return {Object} The detector.
    *
    * @public
    * @function
    */
-  urlEncode: function(data) {
-    if (isString(data)) {
-      data = stringToBuffer(data);
+  createDetector: function(options) {
+    return new EncodingDetector(options);
+  },
+  /**
+   * Returns the BOM (byte order mark) that found at the beginning of data.
+   *
+   * The BOM of UTF-8, UTF-16 (BE/LE) and UTF-32 (BE/LE) can be found.
+   *
+   * @example
+   *   Encoding.sniffBOM([0xEF, 0xBB, 0xBF, 0x61]);
+   *   // {encoding: 'UTF8', length: 3}
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} data
+   *   The data.
+   * @return {Object|boolean} The encoding name and the byte length of BOM
+   *   ({encoding: string, length: number}), or FALSE if BOM is not found.
+   *
+   * @public
+   * @function
+   */
+  sniffBOM: function(data) {
+    data = toArrayData(data);
+    if (data == null || data.length === 0) {
+      return false;
     }
 
-    var alpha = stringToCode('0123456789ABCDEF');
-    var results = [];
-    var i = 0;
-    var len = data && data.length;
-    var b;
+    return getBOM(data) || false;
+  },
+  /**
+   * Sniff the character encoding in the order of WHATWG Encoding Standard.
+   *
+   *   1. BOM
+   *   2. The charset parameter of Content-Type (options.contentType)
+   *   3. <meta charset> or <meta http-equiv="Content-Type"> in HTML
+   *   4. <?xml encoding="..."?> declaration or @charset "..." in CSS
+   *   5. Encoding.detect
+   *
+   * The declarations in the document are searched in the first 1024 bytes,
+   *  and the labels that are not supported are ignored.
+   *
+   * @example
+   *   Encoding.sniff(data, {contentType: 'text/html; charset=utf-8'});
+   *   // {encoding: 'UTF8', source: 'content-type', label: 'utf-8'}
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} data
+   *   The data being sniffed.
+   * @param {Object=} [options] The options of detect, and
+   *   - contentType {string} The Content-Type header of transport.
+   * @return {Object} The result.
+   *   - encoding {string|boolean} The encoding name, or false.
+   *   - source {?string} The rule that decided the encoding
+   *      ('bom', 'content-type', 'meta', 'xml', 'css' or 'detect').
+   *   - label {?string} The declared label of the encoding.
+   *
+   * @public
+   * @function
+   */
+  sniff: function(data, options) {
+    options = options || {};
 
-    for (; i < len; i++) {
-      b = data[i];
+    data = toArrayData(data);
+    if (data == null) {
+      data = [];
+    }
 
-      //FIXME: JavaScript UTF-16 encoding
-      if (b > 0xFF) {
-        return encodeURIComponent(codeToString_fast(data));
-      }
+    var bom = getBOM(data);
+    if (bom !== null) {
+      return createSniffResult(bom.encoding, 'bom', null);
+    }
 
-      if ((b >= 0x61 /*a*/ && b <= 0x7A /*z*/) ||
-          (b >= 0x41 /*A*/ && b <= 0x5A /*Z*/) ||
-          (b >= 0x30 /*0*/ && b <= 0x39 /*9*/) ||
-          b === 0x21 /*!*/ ||
-          (b >= 0x27 /*'*/ && b <= 0x2A /***/) ||
-          b === 0x2D /*-*/ || b === 0x2E /*.*/ ||
-          b === 0x5F /*_*/ || b === 0x7E /*~*/
-      ) {
-        results[results.length] = b;
-      } else {
-        results[results.length] = 0x25; /*%*/
-        if (b < 0x10) {
-          results[results.length] = 0x30; /*0*/
-          results[results.length] = alpha[b];
-        } else {
-          results[results.length] = alpha[b >> 4 & 0xF];
-          results[results.length] = alpha[b & 0xF];
+    var label = getContentTypeCharset(options.contentType);
+    var encoding = findEncodingName(label);
+    if (encoding) {
+      return createSniffResult(encoding, 'content-type', label);
+    }
+
+    var head = codeToString_fast(sliceData(data, 0, SNIFF_BYTES));
+    var declarations = [
+      ['meta', prescanMetaCharset(head)],
+      ['xml', getXMLDeclarationEncoding(head)],
+      ['css', getCSSCharset(head)]
+    ];
+
+    for (var i = 0; i < declarations.length; i++) {
+      label = declarations[i][1];
+      encoding = findEncodingName(label);
+      if (encoding) {
+        // The declaration in ASCII compatible bytes cannot be UTF-16/32.
+        if (/^UTF(16|32)/.test(encoding)) {
+          encoding = 'UTF8';
         }
+        return createSniffResult(encoding, declarations[i][0], label);
       }
     }
 
-    return codeToString_fast(results);
+    encoding = Encoding.detect(data, options);
+    return createSniffResult(encoding, encoding ? 'detect' : null, null);
   },
   /**
-   * Decode a percent encoded string to
-   *  character code array like decodeURIComponent.
+   * Explains why the data is (not) the encoding.
    *
-   * @param {string} string The data being decoded.
-   * @return {Array.<number>} The decoded array.
+   * The detector of the encoding is run, and the byte offset and
+   *  the reason code of the first failure are returned.
+   *
+   * @example
+   *   Encoding.explain([0x61, 0xE3, 0x41], 'UTF8');
+   *   // {
+   *   //   encoding: 'UTF8',
+   *   //   valid: false,
+   *   //   offset: 2,
+   *   //   reason: 'INVALID_CONTINUATION',
+   *   //   message: 'invalid continuation byte 0x41 at 2'
+   *   // }
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} data
+   *   The data being detected.
+   * @param {string} encoding The encoding name.
+   * @param {Object=} [options] The options of detect
+   *   (maxBytes and allowControlChars).
+   * @return {Object} The result of the detector.
+   *   The offset is -1 if the failure is not at a specific byte
+   *   (e.g., UTF-16 without BOM is guessed from the whole data).
    *
    * @public
    * @function
    */
-  urlDecode: function(string) {
-    var results = [];
-    var i = 0;
-    var len = string && string.length;
-    var c;
+  explain: function(data, encoding, options) {
+    var name = assignEncodingName(encoding);
+    if (!hasOwnProperty.call(EncodingDetect, 'is' + name)) {
+      throw new Error('Undefined encoding: ' + encoding);
+    }
 
-    while (i < len) {
-      c = string.charCodeAt(i++);
-      if (c === 0x25 /*%*/) {
-        results[results.length] = parseInt(
-          string.charAt(i++) + string.charAt(i++), 16);
-      } else {
-        results[results.length] = c;
+    options = options || {};
+
+    data = toArrayData(data);
+    if (data == null) {
+      data = [];
+    }
+
+    var partial = false;
+    if (options.maxBytes > 0 && data.length > options.maxBytes) {
+      data = sliceData(data, 0, options.maxBytes);
+      partial = true;
+    }
+
+    var valid, error = null;
+    if (hasOwnProperty.call(EncodingScanners, name)) {
+      var scanner = EncodingScanners[name];
+      var state = scanner.create(options);
+      scanner.scan(state, data);
+      valid = scanner.end(state, partial);
+      if (!valid) {
+        error = scanner.explain(state, partial);
       }
+    } else {
+      valid = EncodingDetect['is' + name](data, options);
     }
 
-    return results;
+    if (!valid && !error) {
+      error = createScanError(-1, 'REJECTED');
+    }
+
+    return {
+      encoding: name,
+      valid: !!valid,
+      offset: error ? error.offset : -1,
+      reason: error ? error.reason : null,
+      message: error ? getScanErrorMessage(error) : null
+    };
   },
   /**
-   * Encode a character code array to Base64 encoded string.
+   * Convert character encoding.
    *
-   * @param {Array.<number>|TypedArray} data The data being encoded.
-   * @return {string} The Base64 encoded string.
+   * If `from` is "AUTO", or the encoding-list as an array, or
+   *   comma separated list string it will be detected automatically.
+   *
+   * If there is no converter between the encodings, the data is converted
+   *   through UNICODE array (decode to UNICODE and encode from it).
+   * An error is thrown if the data cannot be converted, unless
+   *   the passthrough option is specified (returns the raw data).
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} data
+   *   The data being converted.
+   * @param {(string|Object)} to The name of encoding to.
+   * @param {(string|Array.<string>)=} [from] The encoding-list of
+   *   character encoding.
+   * @return {Array|TypedArray|ArrayBuffer|string} The converted data
+   *   as the type option ('array' by default, or 'string' if the data is
+   *   string).
    *
    * @public
    * @function
    */
-  base64Encode: function(data) {
+  convert: function(data, to, from) {
+    var result;
+    var type;
+    var options = {};
+
+    if (isObject(to)) {
+      options = to;
+      from = options.from;
+      to = options.to;
+      if (options.type) {
+        type = options.type;
+      }
+    }
+
+    // Throws an error if the option is unknown.
+    getErrorMode(options);
+    getLoneSurrogateMode(options);
+    var newline = getNewline(options);
+
     if (isString(data)) {
+      type = type || 'string';
       data = stringToBuffer(data);
+    } else {
+      data = toArrayData(data);
+      if (data == null || data.length === 0) {
+        data = [];
+      }
     }
-    return base64encode(data);
+
+    // The unknown encoding is null, and it cannot be converted
+    //  unless the passthrough option is specified.
+    var encodingTo = findEncodingName(to);
+    var encodingFrom;
+    if (!isAutoDetect(from)) {
+      encodingFrom = findEncodingName(from);
+    } else if (data.length === 0) {
+      // Nothing to be detected and converted.
+      encodingFrom = encodingTo;
+    } else {
+      encodingFrom = Encoding.detect(data, {
+        encodings: from,
+        maxBytes: options.maxBytes,
+        allowControlChars: options.allowControlChars,
+        preferBOM: options.preferBOM
+      });
+    }
+
+    var method = encodingFrom + 'To' + encodingTo;
+    var encodingResult = encodingTo;
+    var isBOMChanged = isBOMConversion(encodingFrom, encodingTo, options);
+
+    if (isBOMChanged && options.stripBOM == null) {
+      // The BOM of the data is replaced with the BOM to be added.
+      options = assignOptions(options, {stripBOM: true});
+    }
+
+    if (newline !== null && canConvertUnicode(encodingFrom, encodingTo)) {
+      result = convertUnicode(data, encodingFrom, encodingTo, options, newline);
+    } else if (hasOwnProperty.call(EncodingConvert, method)) {
+      result = EncodingConvert[method](data, options);
+    } else if (encodingFrom === encodingTo && encodingTo !== null &&
+               !isBOMChanged) {
+      result = data;
+    } else if (canConvertUnicode(encodingFrom, encodingTo)) {
+      result = convertUnicode(data, encodingFrom, encodingTo, options, null);
+    } else if (options.passthrough) {
+      // Returns the raw data if the data cannot be converted.
+      result = data;
+      encodingResult = encodingFrom;
+    } else if (encodingTo === null || encodingFrom === null) {
+      throw createUnknownEncodingError(encodingTo === null ? to : from);
+    } else if (!encodingFrom) {
+      throw new Error('Cannot detect the encoding to convert to ' + encodingTo);
+    } else {
+      throw new Error('Cannot convert ' + encodingFrom + ' to ' + encodingTo);
+    }
+
+    return formatResult(result, type, encodingResult);
   },
   /**
-   * Decode a Base64 encoded string to character code array.
+   * Create the decoder that decodes the data given as chunks
+   *  to UNICODE array.
    *
-   * @param {string} string The data being decoded.
-   * @return {Array.<number>} The decoded array.
+   * The incomplete sequence at the end of a chunk (e.g. the first bytes of
+   *  UTF-8 multi-byte sequence, or the odd byte of UTF-16) is carried over
+   *  to the next chunk.
+   * BOM is handled only at the beginning of the data, and the byte order
+   *  of UTF-16 and UTF-32 is decided by BOM. Without BOM, the data is
+   *  buffered until the maxBytes option (default: 4096 bytes) to guess
+   *  the byte order.
+   *
+   * @example
+   *   var decoder = Encoding.createDecoder('UTF8');
+   *   decoder.write([0x61, 0xE3, 0x81]); // [0x61]
+   *   decoder.write([0x82]); // [0x3042]
+   *   decoder.end(); // []
+   *
+   * @param {string} from The encoding name of the data.
+   * @param {Object=} [options] The options of convert
+   *   (e.g. errors, stripBOM, fallback, nlToLF and type), and maxBytes.
+   * @return {Object} The decoder.
    *
    * @public
    * @function
    */
-  base64Decode: function(string) {
-    return base64decode(string);
+  createDecoder: function(from, options) {
+    return new EncodingDecoder(from, options);
   },
   /**
-   * Joins a character code array to string.
+   * Create the encoder that encodes UNICODE array (or string)
+   *  given as chunks to the encoding.
    *
-   * @param {Array.<number>|TypedArray} data The data being joined.
-   * @return {String} The joined string.
+   * The high surrogate at the end of a chunk is carried over
+   *  to the next chunk, and BOM is prepended only to the first output.
+   *
+   * @example
+   *   var encoder = Encoding.createEncoder('UTF8');
+   *   encoder.write([0x61, 0xD83D]); // [0x61]
+   *   encoder.write([0xDE00]); // [0xF0, 0x9F, 0x98, 0x80]
+   *   encoder.end(); // []
+   *
+   * @param {string} to The encoding name of the output.
+   * @param {Object=} [options] The options of convert
+   *   (e.g. bom, loneSurrogates, fallback, nlToLF and type).
+   * @return {Object} The encoder.
    *
    * @public
    * @function
    */
-  codeToString: codeToString_fast,
+  createEncoder: function(to, options) {
+    return new EncodingEncoder(to, options);
+  },
   /**
-   * Splits string to an array of character codes.
+   * Create the Node.js Transform stream that converts character encoding.
    *
-   * @param {string} string The input string.
-   * @return {Array.<number>} The character code array.
+   * If `from` is "AUTO" (default), or the encoding-list, the input is
+   *  buffered until the maxBytes option (default: 4096 bytes) to detect
+   *  the encoding, and converted incrementally after that.
    *
-   * @public
+   * @example
+   *   fs.createReadStream(path)
+   *     .pipe(Encoding.createConvertStream({ to: 'UTF8', from: 'AUTO' }))
+   *     .pipe(fs.createWriteStream(dest));
+   *
+   * @param {Object} options The options of convert ({to, from, ...}).
+   *   The output is Buffer, or string if the type option is 'string'
+   *   (or `to` is UNICODE).
+   * @return {stream.Transform} The Transform stream.
+   *
+   * @public
+   * @function
+   */
+  createConvertStream: function(options) {
+    var stream = getNodeStream();
+    if (!stream) {
+      throw new Error('Node.js stream is not available');
+    }
+
+    var converter = new EncodingConverter(options);
+    var isText = getStreamOutputType(converter) === 'string';
+
+    return new stream.Transform({
+      readableObjectMode: isText,
+      transform: function(chunk, encoding, callback) {
+        var result;
+        try {
+          result = converter.write(chunk);
+        } catch (e) {
+          return callback(e);
+        }
+        pushStreamChunk(this, result, isText);
+        callback();
+      },
+      flush: function(callback) {
+        var result;
+        try {
+          result = converter.end();
+        } catch (e) {
+          return callback(e);
+        }
+        pushStreamChunk(this, result, isText);
+        callback();
+      }
+    });
+  },
+  /**
+   * Create the WHATWG TransformStream that converts character encoding
+   *  (e.g. `readable.pipeThrough(stream)` in the browsers and Deno).
+   *
+   * The data is detected and converted as `createConvertStream`.
+   *
+   * @example
+   *   var readable = response.body.pipeThrough(
+   *     Encoding.createTransformStream({ to: 'UNICODE', from: 'AUTO' })
+   *   ); // The chunks of string
+   *
+   * @param {Object} options The options of convert ({to, from, ...}).
+   *   The output is Uint8Array, or string if the type option is 'string'
+   *   (or `to` is UNICODE).
+   * @return {TransformStream} The TransformStream.
+   *
+   * @public
+   * @function
+   */
+  createTransformStream: function(options) {
+    if (typeof TransformStream !== 'function') {
+      throw new Error('TransformStream is not available');
+    }
+
+    var converter = new EncodingConverter(options);
+    var isText = getStreamOutputType(converter) === 'string';
+
+    return new TransformStream({
+      transform: function(chunk, controller) {
+        enqueueStreamChunk(controller, converter.write(chunk), isText);
+      },
+      flush: function(controller) {
+        enqueueStreamChunk(controller, converter.end(), isText);
+      }
+    });
+  },
+  /**
+   * Enable or disable the native codecs (TextDecoder, TextEncoder and
+   *  Node.js Buffer) for UTF-8 and UTF-16 conversion.
+   *
+   * The native codecs are used by default if the runtime has them.
+   * The results are the same as JavaScript, and the malformed input is
+   *  always handled by JavaScript.
+   *
+   * @example
+   *   Encoding.useNative(false); // Force the pure JavaScript conversion
+   *
+   * @param {boolean=} [enabled] Whether to use the native codecs.
+   *   The current setting is not changed if omitted.
+   * @return {boolean} Whether the native codecs are used.
+   *
+   * @public
+   * @function
+   */
+  useNative: function(enabled) {
+    if (enabled != null) {
+      USE_NATIVE = !!enabled;
+    }
+
+    return USE_NATIVE && (!!NativeTextDecoder || !!NativeTextEncoder ||
+      HAS_NATIVE_BUFFER);
+  },
+  /**
+   * Defines the single-byte encoding that is converted by the table.
+   *
+   * The encoding can be converted to and from UNICODE, UTF-8, UTF-16,
+   *  UTF-32 (and each byte order), CESU-8, Modified UTF-8 and
+   *  the other single-byte encodings.
+   * The unmappable characters are converted to '?' (or the fallback option).
+   *
+   * @example
+   *   Encoding.defineSingleByteEncoding('ISO88592', {
+   *     alias: ['LATIN2', 'L2'],
+   *     table: [0x80, 0x81, ..., 0x2D9] // 0x80 - 0xFF
+   *   });
+   *
+   * @param {string} name The encoding name (e.g. 'ISO88592').
+   * @param {Object} definition The definition of the encoding.
+   *   - alias {Array.<string>} The alias names.
+   *   - table {Array.<number>} The code units of the bytes 0x80 - 0xFF,
+   *      or 0x00 - 0xFF (256 entries). 0xFFFD is an undefined byte.
+   *      The bytes 0x00 - 0x7F are ASCII if the table has 128 entries.
+   *   - order {number} The order of detection (e.g. UTF8 is 50).
+   *      The encoding is not detected if the order is not specified.
+   *   - nl {number} The byte of NL (NEL) that is converted to and
+   *      from LF by the nlToLF option of convert (e.g. 0x15 in EBCDIC).
+   * @return {string} The encoding name.
+   *
+   * @public
+   * @function
+   */
+  defineSingleByteEncoding: function(name, definition) {
+    name = toEncodingKey(name);
+    definition = definition || {};
+
+    var table = createSingleByteTable(name, definition.table, definition.nl);
+
+    addEncoding(name, {
+      alias: definition.alias,
+      order: definition.order,
+      decode: function(data, options) {
+        return decodeSingleByte(data, options, name);
+      },
+      encode: function(data, options) {
+        return encodeSingleByte(data, options, name);
+      },
+      scanner: createSingleByteScanner(name)
+    });
+    SingleByteTables[name] = table;
+
+    return name;
+  },
+  /**
+   * Registers the encoding.
+   *
+   * The encoding can be converted to and from UNICODE and
+   *  every encoding that can be converted to and from UNICODE.
+   * The encoding that has the same name is replaced,
+   *  but the built-in encodings (and their alias names) cannot be replaced.
+   *
+   * @example
+   *   Encoding.registerEncoding('ROT13', {
+   *     aliases: ['ROT-13'],
+   *     decode: function(data, options) { ... }, // bytes to UNICODE array
+   *     encode: function(data, options) { ... } // UNICODE array to bytes
+   *   });
+   *
+   * @param {string} name The encoding name.
+   * @param {Object} encoding The encoding.
+   *   - aliases {Array.<string>} The alias names (the names and the alias
+   *      names of the other registered encodings are ignored, and an error
+   *      is thrown for the names of the built-in encodings).
+   *   - order {number} The order of detection (e.g. UTF8 is 50).
+   *      The encoding is not detected automatically if not specified.
+   *   - detect {Function} The function that is called with the data and
+   *      the options of detect, and returns whether the data is detected.
+   *   - decode {Function} The function that is called with the data and
+   *      the options of convert, and returns the UNICODE array.
+   *   - encode {Function} The function that is called with the UNICODE
+   *      array and the options of convert, and returns the bytes.
+   * @return {string} The encoding name.
+   *
+   * @public
+   * @function
+   */
+  registerEncoding: function(name, encoding) {
+    var key = toEncodingKey(name);
+    if (!key) {
+      throw new Error('Invalid encoding name: ' + name);
+    }
+
+    encoding = encoding || {};
+    if (encoding.order != null && typeof encoding.detect !== 'function') {
+      throw new Error('The detect function is required for the order: ' + name);
+    }
+
+    addEncoding(key, {
+      alias: encoding.aliases,
+      order: encoding.order,
+      decode: encoding.decode,
+      encode: encoding.encode,
+      scanner: encoding.detect ? createSampleScanner(encoding.detect) : null
+    });
+
+    return key;
+  },
+  /**
+   * Unregisters the encoding that is registered by registerEncoding
+   *  (or defineSingleByteEncoding).
+   *
+   * @param {string} name The encoding name or the alias name.
+   * @return {boolean} TRUE if the encoding is unregistered,
+   *   or FALSE if the encoding is not found.
+   *
+   * @public
+   * @function
+   */
+  unregisterEncoding: function(name) {
+    var key = findEncodingName(name);
+    if (key === null) {
+      return false;
+    }
+
+    if (!hasOwnProperty.call(RegisteredEncodings, key)) {
+      throw new Error('Cannot unregister the built-in encoding: ' + name);
+    }
+
+    removeEncoding(key);
+    updateEncodingAliases();
+    updateEncodingOrders(Encoding.orders);
+    return true;
+  },
+  /**
+   * Encode a character code array to URL string like encodeURIComponent.
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView} data
+   *   The data being encoded.
+   * @return {string} The percent encoded string.
+   *
+   * @public
+   * @function
+   */
+  urlEncode: function(data) {
+    data = toArrayData(data);
+
+    var alpha = stringToCode('0123456789ABCDEF');
+    var results = [];
+    var i = 0;
+    var len = data && data.length;
+    var b;
+
+    for (; i < len; i++) {
+      b = data[i];
+
+      //FIXME: JavaScript UTF-16 encoding
+      if (b > 0xFF) {
+        return encodeURIComponent(codeToString_fast(data));
+      }
+
+      if ((b >= 0x61 /*a*/ && b <= 0x7A /*z*/) ||
+          (b >= 0x41 /*A*/ && b <= 0x5A /*Z*/) ||
+          (b >= 0x30 /*0*/ && b <= 0x39 /*9*/) ||
+          b === 0x21 /*!*/ ||
+          (b >= 0x27 /*'*/ && b <= 0x2A /***/) ||
+          b === 0x2D /*-*/ || b === 0x2E /*.*/ ||
+          b === 0x5F /*_*/ || b === 0x7E /*~*/
+      ) {
+        results[results.length] = b;
+      } else {
+        results[results.length] = 0x25; /*%*/
+        if (b < 0x10) {
+          results[results.length] = 0x30; /*0*/
+          results[results.length] = alpha[b];
+        } else {
+          results[results.length] = alpha[b >> 4 & 0xF];
+          results[results.length] = alpha[b & 0xF];
+        }
+      }
+    }
+
+    return codeToString_fast(results);
+  },
+  /**
+   * Decode a percent encoded string to
+   *  character code array like decodeURIComponent.
+   *
+   * @param {string} string The data being decoded.
+   * @return {Array.<number>} The decoded array.
+   *
+   * @public
+   * @function
+   */
+  urlDecode: function(string) {
+    var results = [];
+    var i = 0;
+    var len = string && string.length;
+    var c;
+
+    while (i < len) {
+      c = string.charCodeAt(i++);
+      if (c === 0x25 /*%*/) {
+        results[results.length] = parseInt(
+          string.charAt(i++) + string.charAt(i++), 16);
+      } else {
+        results[results.length] = c;
+      }
+    }
+
+    return results;
+  },
+  /**
+   * Encode a character code array to Base64 encoded string.
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView} data
+   *   The data being encoded.
+   * @return {string} The Base64 encoded string.
+   *
+   * @public
+   * @function
+   */
+  base64Encode: function(data) {
+    data = toArrayData(data);
+    return base64encode(data);
+  },
+  /**
+   * Decode a Base64 encoded string to character code array.
+   *
+   * @param {string} string The data being decoded.
+   * @return {Array.<number>} The decoded array.
+   *
+   * @public
+   * @function
+   */
+  base64Decode: function(string) {
+    return base64decode(string);
+  },
+  /**
+   * Joins a character code array to string.
+   *
+   * @param {Array.<number>|TypedArray} data The data being joined.
+   * @return {String} The joined string.
+   *
+   * @public
+   * @function
+   */
+  codeToString: codeToString_fast,
+  /**
+   * Splits string to an array of character codes.
+   *
+   * @param {string} string The input string.
+   * @return {Array.<number>} The character code array.
+   *
+   * @public
+   * @function
+   */
+  stringToCode: stringToCode,
+  /**
+   * Whether the UNICODE array does not have any lone surrogates.
+   *
+   * @param {Array.<number>|TypedArray|string} data The UNICODE array.
+   * @return {boolean} TRUE if the data is well-formed.
+   *
+   * @public
+   * @function
+   */
+  isWellFormed: function(data) {
+    if (isString(data)) {
+      data = stringToBuffer(data);
+    }
+
+    return indexOfLoneSurrogate(data) === -1;
+  },
+  /**
+   * Replace the lone surrogates in UNICODE array with U+FFFD.
+   *
+   * @param {Array.<number>|TypedArray|string} data The UNICODE array.
+   * @return {Array.<number>|string} The well-formed UNICODE array,
+   *   or string if the data is string.
+   *
+   * @public
    * @function
    */
-  stringToCode: stringToCode
+  toWellFormed: function(data) {
+    var asString = isString(data);
+    if (asString) {
+      data = stringToBuffer(data);
+    }
+
+    var results = [];
+    var len = data && data.length;
+    var index = indexOfLoneSurrogate(data);
+
+    for (var i = 0; i < len; i++) {
+      if (i === index) {
+        results[i] = 0xFFFD;
+        index = indexOfLoneSurrogate(data, i + 1);
+      } else {
+        results[i] = data[i];
+      }
+    }
+
+    return asString ? codeToString_fast(results) : results;
+  }
 };
 
 
@@ -438,21 +1141,189 @@ var EncodingDetect = {
   isUTF16BE: isUTF16BE,
   isUTF16LE: isUTF16LE,
   isUTF32: isUTF32,
+  isUTF32BE: isUTF32BE,
+  isUTF32LE: isUTF32LE,
+  isCESU8: isCESU8,
+  isMUTF8: isMUTF8,
   isUNICODE: isUNICODE
 };
 
 /**
+ * The scanners of the detectors.
+ *
+ * The scanner keeps the state of the detector, and it can scan the data
+ *  continuously across the chunk boundaries.
+ *
+ *   - create(options) Create the state with the options of detect.
+ *   - scan(state, data) Scan the data, and update the state.
+ *   - end(state, partial) Returns whether the data is the encoding.
+ *      If partial is true, the data may be continued.
+ *   - explain(state, partial) Returns the error why the data is not
+ *      the encoding ({offset, reason, value}), or null.
+ *
+ * The scanners that have the same create function share the state.
+ *
  * @private
  * @ignore
  */
-var EncodingConvert = {
-
+var EncodingScanners = {
+  BINARY: {
+    create: createBINARYState,
+    scan: scanBINARY,
+    end: endBINARY,
+    explain: explainBINARY
+  },
+  ASCII: {
+    create: createASCIIState,
+    scan: scanASCII,
+    end: endASCII,
+    explain: explainASCII
+  },
+  UTF8: {
+    create: createUTF8State,
+    scan: scanUTF8,
+    end: endUTF8,
+    explain: explainUTF8
+  },
+  UTF16: {
+    create: createUTF16State,
+    scan: scanUTF16,
+    end: endUTF16,
+    explain: explainUTF16
+  },
+  UTF16BE: {
+    create: createUTF16State,
+    scan: scanUTF16,
+    end: endUTF16BE,
+    explain: explainUTF16BE
+  },
+  UTF16LE: {
+    create: createUTF16State,
+    scan: scanUTF16,
+    end: endUTF16LE,
+    explain: explainUTF16LE
+  },
+  UTF32: {
+    create: createUTF32State,
+    scan: scanUTF32,
+    end: endUTF32,
+    explain: explainUTF32
+  },
+  UTF32BE: {
+    create: createUTF32State,
+    scan: scanUTF32,
+    end: endUTF32BE,
+    explain: explainUTF32BE
+  },
+  UTF32LE: {
+    create: createUTF32State,
+    scan: scanUTF32,
+    end: endUTF32LE,
+    explain: explainUTF32LE
+  },
+  CESU8: {
+    create: createCESU8State,
+    scan: scanCESU8,
+    end: endCESU8,
+    explain: explainCESU8
+  },
+  MUTF8: {
+    create: createCESU8State,
+    scan: scanCESU8,
+    end: endMUTF8,
+    explain: explainMUTF8
+  },
+  UNICODE: {
+    create: createUNICODEState,
+    scan: scanUNICODE,
+    end: endUNICODE,
+    explain: explainUNICODE
+  }
+};
 
-  // UTF8
+/**
+ * The reason codes of the detectors, and the messages.
+ *
+ * @private
+ * @ignore
+ */
+var EncodingReasons = {
+  NOT_BYTE: 'not a byte value',
+  CONTROL_CHARACTER: 'control character',
+  ESCAPE: 'escape character',
+  NON_ASCII_BYTE: 'non-ASCII byte',
+  UNEXPECTED_CONTINUATION: 'unexpected continuation byte',
+  OVERLONG_LEAD: 'overlong lead byte',
+  INVALID_LEAD: 'invalid lead byte',
+  INVALID_CONTINUATION: 'invalid continuation byte',
+  OVERLONG_SEQUENCE: 'overlong sequence byte',
+  SURROGATE: 'encoded surrogate byte',
+  OUT_OF_RANGE: 'out of Unicode range',
+  TRUNCATED_SEQUENCE: 'truncated sequence',
+  NO_BINARY_BYTE: 'no binary byte',
+  TOO_SHORT: 'too short data',
+  BOM_MISMATCH: 'BOM of the other byte order',
+  BYTE_ORDER: 'guessed as the other byte order',
+  UTF8_TEXT: 'valid UTF-8 text without BOM',
+  INVALID_SURROGATE: 'invalid surrogate',
+  IMPLAUSIBLE: 'too few plausible characters',
+  NO_NULL_BYTES: 'no null bytes of UTF-32',
+  NO_ASCII_CHARACTER: 'no ASCII character around null bytes',
+  INVALID_CODE_POINT: 'invalid code point',
+  LONE_SURROGATE: 'lone surrogate',
+  UNDEFINED_BYTE: 'undefined byte',
+  SUPPLEMENTARY_SEQUENCE: '4-byte sequence',
+  MODIFIED_NULL: 'modified null (0xC0 0x80)',
+  NULL_BYTE: 'null byte',
+  NO_SURROGATE_PAIR: 'no surrogate pair',
+  NO_MODIFIED_NULL: 'no modified null (0xC0 0x80)',
+  REJECTED: 'rejected by the detector',
+  UNKNOWN_ENCODING: 'unknown encoding',
+  INVALID_FALLBACK: 'invalid fallback byte'
+};
 
-  // UNICODE
-  UNICODEToUTF8: UNICODEToUTF8,
-  UTF8ToUNICODE: UTF8ToUNICODE,
+/**
+ * The error of malformed input that is thrown by convert
+ *  with the errors option 'fatal', or the error of unknown encoding name.
+ *
+ * @param {string} encoding The encoding name of input.
+ * @param {Object} error The error of scanner ({offset, reason, value}).
+ *
+ * @public
+ * @class
+ */
+function EncodingError(encoding, error) {
+  this.name = 'EncodingError';
+  this.message = error.reason === 'UNKNOWN_ENCODING' ?
+    'Unknown encoding: ' + encoding :
+    'Invalid ' + encoding + ' data: ' + getScanErrorMessage(error);
+  this.encoding = encoding;
+  this.offset = error.offset;
+  this.reason = error.reason;
+  this.value = error.value;
+
+  if (Error.captureStackTrace) {
+    Error.captureStackTrace(this, EncodingError);
+  } else {
+    this.stack = (new Error(this.message)).stack;
+  }
+}
+
+EncodingError.prototype = Object.create(Error.prototype);
+EncodingError.prototype.constructor = EncodingError;
+
+/**
+ * @private
+ * @ignore
+ */
+var EncodingConvert = {
+
+
+  // UTF8
+
+  // UNICODE
+  UNICODEToUTF8: UNICODEToUTF8,
+  UTF8ToUNICODE: UTF8ToUNICODE,
 
   // UTF16, UNICODE
   UNICODEToUTF16: UNICODEToUTF16,
@@ -474,7 +1345,53 @@ var EncodingConvert = {
   UTF16ToUTF16LE: UTF16ToUTF16LE,
   UTF16LEToUTF16: UTF16LEToUTF16,
   UTF16BEToUTF16LE: UTF16BEToUTF16LE,
-  UTF16LEToUTF16BE: UTF16LEToUTF16BE
+  UTF16LEToUTF16BE: UTF16LEToUTF16BE,
+
+  // UTF32, UNICODE
+  UNICODEToUTF32: UNICODEToUTF32,
+  UTF32ToUNICODE: UTF32ToUNICODE,
+  UNICODEToUTF32BE: UNICODEToUTF32BE,
+  UTF32BEToUNICODE: UTF32BEToUNICODE,
+  UNICODEToUTF32LE: UNICODEToUTF32LE,
+  UTF32LEToUNICODE: UTF32LEToUNICODE,
+
+  // UTF32, UTF32BE, UTF32LE
+  UTF8ToUTF32: UTF8ToUTF32,
+  UTF32ToUTF8: UTF32ToUTF8,
+  UTF8ToUTF32BE: UTF8ToUTF32BE,
+  UTF32BEToUTF8: UTF32BEToUTF8,
+  UTF8ToUTF32LE: UTF8ToUTF32LE,
+  UTF32LEToUTF8: UTF32LEToUTF8,
+
+  // ASCII, UNICODE
+  UNICODEToASCII: UNICODEToASCII,
+  ASCIIToUNICODE: ASCIIToUNICODE,
+
+  // CESU8, UNICODE, UTF8, UTF16, UTF16BE, UTF16LE
+  UNICODEToCESU8: UNICODEToCESU8,
+  CESU8ToUNICODE: CESU8ToUNICODE,
+  UTF8ToCESU8: UTF8ToCESU8,
+  CESU8ToUTF8: CESU8ToUTF8,
+  UTF16ToCESU8: UTF16ToCESU8,
+  CESU8ToUTF16: CESU8ToUTF16,
+  UTF16BEToCESU8: UTF16BEToCESU8,
+  CESU8ToUTF16BE: CESU8ToUTF16BE,
+  UTF16LEToCESU8: UTF16LEToCESU8,
+  CESU8ToUTF16LE: CESU8ToUTF16LE,
+
+  // MUTF8, UNICODE, UTF8, UTF16, UTF16BE, UTF16LE
+  UNICODEToMUTF8: UNICODEToMUTF8,
+  MUTF8ToUNICODE: MUTF8ToUNICODE,
+  UTF8ToMUTF8: UTF8ToMUTF8,
+  MUTF8ToUTF8: MUTF8ToUTF8,
+  UTF16ToMUTF8: UTF16ToMUTF8,
+  MUTF8ToUTF16: MUTF8ToUTF16,
+  UTF16BEToMUTF8: UTF16BEToMUTF8,
+  MUTF8ToUTF16BE: MUTF8ToUTF16BE,
+  UTF16LEToMUTF8: UTF16LEToMUTF8,
+  MUTF8ToUTF16LE: MUTF8ToUTF16LE,
+  CESU8ToMUTF8: CESU8ToMUTF8,
+  MUTF8ToCESU8: MUTF8ToCESU8
 };
 
 
@@ -487,615 +1404,5035 @@ var EncodingConvert = {
  * @private
  * @ignore
  */
-function isBINARY(data) {
+function isBINARY(data, options) {
+  return scanAll(EncodingScanners.BINARY, data, options);
+}
+
+function createBINARYState(options) {
+  return {
+    result: null,
+    offset: 0,
+    error: null,
+    allowControlChars: !!(options && options.allowControlChars)
+  };
+}
+
+function scanBINARY(state, data) {
   var i = 0;
   var len = data && data.length;
   var c;
 
-  for (; i < len; i++) {
-    c = data[i];
-    if (c > 0xFF) {
+  for (; i < len && state.result === null; i++) {
+    c = data[i];
+    if (c > 0xFF) {
+      state.result = false;
+      setScanError(state, state.offset + i, 'NOT_BYTE', c);
+    } else if (c === 0xFF ||
+               (c >= 0x00 && c <= 0x07 && !state.allowControlChars)) {
+      state.result = true;
+    }
+  }
+
+  state.offset += len;
+  return state;
+}
+
+function endBINARY(state) {
+  return state.result === true;
+}
+
+function explainBINARY(state) {
+  return state.error || createScanError(-1, 'NO_BINARY_BYTE');
+}
+
+/**
+ * ASCII (ISO-646)
+ *
+ * @private
+ * @ignore
+ */
+function isASCII(data, options) {
+  return scanAll(EncodingScanners.ASCII, data, options);
+}
+
+function createASCIIState(options) {
+  return {
+    valid: true,
+    offset: 0,
+    error: null,
+    allowControlChars: !!(options && options.allowControlChars)
+  };
+}
+
+function scanASCII(state, data) {
+  var i = 0;
+  var len = data && data.length;
+  var b;
+
+  for (; i < len && state.valid; i++) {
+    b = data[i];
+    if (b > 0xFF ||
+        (b >= 0x80 && b <= 0xFF) ||
+        (b === 0x1B && !state.allowControlChars)) {
+      state.valid = false;
+      setScanError(state, state.offset + i,
+        b > 0xFF ? 'NOT_BYTE' : b === 0x1B ? 'ESCAPE' : 'NON_ASCII_BYTE', b);
+    }
+  }
+
+  state.offset += len;
+  return state;
+}
+
+function endASCII(state) {
+  return state.valid;
+}
+
+function explainASCII(state) {
+  return state.error;
+}
+
+/**
+ * UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function isUTF8(data, options) {
+  return scanAll(EncodingScanners.UTF8, data, options);
+}
+
+/**
+ * The state of UTF-8.
+ *
+ * need is the number of the continuation bytes that are needed,
+ *  and the next byte should be in the range lower - upper.
+ *
+ * @private
+ * @ignore
+ */
+function createUTF8State(options) {
+  return {
+    valid: true,
+    need: 0,
+    lower: 0x80,
+    upper: 0xBF,
+    lead: 0,
+    leadOffset: -1,
+    offset: 0,
+    error: null,
+    allowControlChars: !!(options && options.allowControlChars)
+  };
+}
+
+function scanUTF8(state, data) {
+  var i = 0;
+  var len = data && data.length;
+  var b;
+
+  for (; i < len && state.valid; i++) {
+    b = data[i];
+
+    if (state.need > 0) {
+      if (b < state.lower || b > state.upper) {
+        state.valid = false;
+        setScanError(state, state.offset + i,
+          getUTF8ContinuationError(state.lead, b), b);
+        break;
+      }
+      state.lower = 0x80;
+      state.upper = 0xBF;
+      state.need--;
+      continue;
+    }
+
+    if (b > 0xFF) {
+      state.valid = false;
+      setScanError(state, state.offset + i, 'NOT_BYTE', b);
+      break;
+    }
+
+    if (b === 0x09 || b === 0x0A || b === 0x0D ||
+        (b >= 0x20 && b <= 0x7E)) {
+      continue;
+    }
+
+    if (b <= 0x7F && state.allowControlChars) {
+      continue;
+    }
+
+    state.lead = b;
+    state.leadOffset = state.offset + i;
+
+    if (b >= 0xC2 && b <= 0xDF) {
+      state.need = 1;
+    } else if (b === 0xE0) {
+      state.need = 2;
+      state.lower = 0xA0;
+    } else if ((b >= 0xE1 && b <= 0xEC) ||
+                b === 0xEE || b === 0xEF) {
+      state.need = 2;
+    } else if (b === 0xED) {
+      state.need = 2;
+      state.upper = 0x9F;
+    } else if (b === 0xF0) {
+      state.need = 3;
+      state.lower = 0x90;
+    } else if (b >= 0xF1 && b <= 0xF3) {
+      state.need = 3;
+    } else if (b === 0xF4) {
+      state.need = 3;
+      state.upper = 0x8F;
+    } else {
+      state.valid = false;
+      setScanError(state, state.offset + i, getUTF8LeadError(b), b);
+    }
+  }
+
+  state.offset += len;
+  return state;
+}
+
+function endUTF8(state, partial) {
+  // The last sequence may be continued to the next data when partial.
+  return state.valid && (partial || state.need === 0);
+}
+
+function explainUTF8(state, partial) {
+  if (state.error) {
+    return state.error;
+  }
+
+  if (!partial && state.need > 0) {
+    return createScanError(state.leadOffset, 'TRUNCATED_SEQUENCE', state.lead);
+  }
+
+  return null;
+}
+
+/**
+ * Returns the reason code of the invalid byte as the first byte of UTF-8.
+ *
+ * @private
+ * @ignore
+ */
+function getUTF8LeadError(b) {
+  if (b >= 0x80 && b <= 0xBF) {
+    return 'UNEXPECTED_CONTINUATION';
+  }
+
+  if (b === 0xC0 || b === 0xC1) {
+    return 'OVERLONG_LEAD';
+  }
+
+  if (b >= 0xF5) {
+    return 'INVALID_LEAD';
+  }
+
+  return 'CONTROL_CHARACTER';
+}
+
+/**
+ * Returns the reason code of the invalid byte after the lead byte.
+ *
+ * @private
+ * @ignore
+ */
+function getUTF8ContinuationError(lead, b) {
+  if (b < 0x80 || b > 0xBF) {
+    return 'INVALID_CONTINUATION';
+  }
+
+  switch (lead) {
+    case 0xE0:
+    case 0xF0:
+      return 'OVERLONG_SEQUENCE';
+    case 0xED:
+      return 'SURROGATE';
+    default:
+      return 'OUT_OF_RANGE';
+  }
+}
+
+/**
+ * UTF-16 (LE or BE)
+ *
+ * RFC2781: UTF-16, an encoding of ISO 10646
+ *
+ * The byte order is guessed from the whole data when BOM is not found.
+ *
+ * @link http://www.ietf.org/rfc/rfc2781.txt
+ * @private
+ * @ignore
+ */
+function isUTF16(data, options) {
+  return scanAll(EncodingScanners.UTF16, data, options);
+}
+
+/**
+ * UTF-16BE (big-endian)
+ *
+ * RFC 2781 4.3 Interpreting text labelled as UTF-16
+ * Text labelled "UTF-16BE" can always be interpreted as being big-endian
+ *  when BOM does not founds (SHOULD)
+ *
+ * @link http://www.ietf.org/rfc/rfc2781.txt
+ * @private
+ * @ignore
+ */
+function isUTF16BE(data, options) {
+  return scanAll(EncodingScanners.UTF16BE, data, options);
+}
+
+/**
+ * UTF-16LE (little-endian)
+ *
+ * @see isUTF16BE
+ * @private
+ * @ignore
+ */
+function isUTF16LE(data, options) {
+  return scanAll(EncodingScanners.UTF16LE, data, options);
+}
+
+/**
+ * The state of UTF-16, UTF-16BE and UTF-16LE.
+ *
+ * The states of UTF-8 and CESU-8 are scanned to distinguish from UTF-16
+ *  while any null byte is not found (or allowControlChars is specified).
+ *
+ * @private
+ * @ignore
+ */
+function createUTF16State(options) {
+  return {
+    head: [],
+    stats: createUTF16Stats(),
+    utf8: createUTF8State(options),
+    cesu8: createCESU8State(options)
+  };
+}
+
+function scanUTF16(state, data) {
+  var len = data && data.length;
+  var stats = state.stats;
+
+  for (var i = 0; i < len && state.head.length < 2; i++) {
+    state.head[state.head.length] = data[i];
+  }
+
+  if (getUTF16StateBOM(state) !== null) {
+    // The byte order is decided by BOM.
+    stats.length += len;
+    return state;
+  }
+
+  if (hasUTF8State(state)) {
+    scanUTF8Text(state, data);
+  }
+  scanUTF16Stats(stats, data);
+
+  return state;
+}
+
+/**
+ * Returns the byte order of BOM ('BE' or 'LE'), or null.
+ *
+ * @private
+ * @ignore
+ */
+function getUTF16StateBOM(state) {
+  var head = state.head;
+
+  if (head.length === 2) {
+    if (head[0] === 0xFE && head[1] === 0xFF) {
+      return 'BE';
+    }
+    if (head[0] === 0xFF && head[1] === 0xFE) {
+      return 'LE';
+    }
+  }
+
+  return null;
+}
+
+function getUTF16StateByteOrder(state, partial) {
+  var isUTF8Data = hasUTF8State(state) && endUTF8Text(state, partial);
+
+  return getUTF16ByteOrderFromStats(state.stats, isUTF8Data);
+}
+
+/**
+ * Whether the data can be UTF-8 text.
+ *  (null bytes are not allowed in UTF-8 text unless allowControlChars)
+ *
+ * @private
+ * @ignore
+ */
+function hasUTF8State(state) {
+  var stats = state.stats;
+  return state.utf8.allowControlChars ||
+    stats.nulls[0] + stats.nulls[1] === 0;
+}
+
+function scanUTF8Text(state, data) {
+  scanUTF8(state.utf8, data);
+  scanCESU8(state.cesu8, data);
+}
+
+/**
+ * Whether the data is valid UTF-8, CESU-8 or Modified UTF-8 text.
+ *
+ * @private
+ * @ignore
+ */
+function endUTF8Text(state, partial) {
+  return endUTF8(state.utf8, partial) ||
+    endCESU8(state.cesu8, partial) || endMUTF8(state.cesu8, partial);
+}
+
+/**
+ * Whether the length of data can be UTF-16.
+ *  (2 bytes at least, and the odd length is allowed only if partial)
+ *
+ * @private
+ * @ignore
+ */
+function isUTF16Length(state, partial) {
+  var length = state.stats.length;
+  return length >= 2 && (length % 2 === 0 || !!partial);
+}
+
+function endUTF16(state, partial) {
+  if (!isUTF16Length(state, partial)) {
+    return false;
+  }
+
+  if (getUTF16StateBOM(state) !== null) {
+    return true;
+  }
+
+  return getUTF16StateByteOrder(state, partial) !== null;
+}
+
+function endUTF16BE(state, partial) {
+  if (!isUTF16Length(state, partial)) {
+    return false;
+  }
+
+  var bom = getUTF16StateBOM(state);
+  if (bom !== null) {
+    return bom === 'BE';
+  }
+
+  return getUTF16StateByteOrder(state, partial) === 'BE';
+}
+
+function endUTF16LE(state, partial) {
+  if (!isUTF16Length(state, partial)) {
+    return false;
+  }
+
+  var bom = getUTF16StateBOM(state);
+  if (bom !== null) {
+    return bom === 'LE';
+  }
+
+  return getUTF16StateByteOrder(state, partial) === 'LE';
+}
+
+/**
+ * Returns the reason why the data is not UTF-16 in the byte order.
+ *
+ * @param {Object} state The state of UTF-16.
+ * @param {boolean} partial Whether the data may be continued.
+ * @param {?string} expected The byte order ('BE', 'LE' or null).
+ * @private
+ * @ignore
+ */
+function explainUTF16Order(state, partial, expected) {
+  var stats = state.stats;
+
+  if (stats.length < 2) {
+    return createScanError(-1, 'TOO_SHORT');
+  }
+
+  var truncated = isUTF16Length(state, partial) ? null :
+    createScanError(stats.length - 1, 'TRUNCATED_SEQUENCE');
+
+  var bom = getUTF16StateBOM(state);
+  if (bom !== null) {
+    return expected && bom !== expected ?
+      createScanError(0, 'BOM_MISMATCH') : truncated;
+  }
+
+  if (stats.wide) {
+    return createScanError(stats.length, 'NOT_BYTE');
+  }
+
+  if (hasUTF8State(state) && endUTF8Text(state, partial)) {
+    return createScanError(-1, 'UTF8_TEXT');
+  }
+
+  if (truncated) {
+    return truncated;
+  }
+
+  var order = getUTF16StateByteOrder(state, partial);
+  if (order === null) {
+    var be = stats.orders[0];
+    var le = stats.orders[1];
+    var invalid = expected === 'LE' ? le :
+      expected === 'BE' || be.invalid > 0 ? be : le;
+
+    if (invalid.invalid > 0) {
+      return createScanError(invalid.invalidOffset, 'INVALID_SURROGATE');
+    }
+
+    return createScanError(-1, 'IMPLAUSIBLE');
+  }
+
+  if (expected && order !== expected) {
+    return createScanError(-1, 'BYTE_ORDER');
+  }
+
+  return null;
+}
+
+function explainUTF16(state, partial) {
+  return explainUTF16Order(state, partial, null);
+}
+
+function explainUTF16BE(state, partial) {
+  return explainUTF16Order(state, partial, 'BE');
+}
+
+function explainUTF16LE(state, partial) {
+  return explainUTF16Order(state, partial, 'LE');
+}
+
+/**
+ * Guess the byte order of UTF-16 without BOM.
+ *
+ * @return {string|null} 'BE', 'LE' or null.
+ * @private
+ * @ignore
+ */
+function getUTF16ByteOrder(data) {
+  var state = createUTF16State();
+  scanUTF8Text(state, data);
+  scanUTF16Stats(state.stats, data);
+
+  return getUTF16StateByteOrder(state);
+}
+
+/**
+ * Create the statistics to guess the byte order of UTF-16.
+ *
+ * orders[0] is the statistics of the code units in big-endian,
+ *  and orders[1] is little-endian.
+ *
+ * @private
+ * @ignore
+ */
+function createUTF16Stats() {
+  var orders = [];
+
+  for (var i = 0; i < 2; i++) {
+    orders[i] = {
+      units: 0,
+      plausible: 0,
+      invalid: 0,
+      invalidOffset: -1,
+      latin: 0,
+      highBytes: {},
+      highs: 0,
+      high: false
+    };
+  }
+
+  return {
+    length: 0,
+    nulls: [0, 0],
+    nonASCII: 0,
+    wide: false,
+    last: 0,
+    orders: orders
+  };
+}
+
+/**
+ * Scan the bytes and count the statistics of UTF-16.
+ *
+ * The stats can be scanned continuously with the next data.
+ *
+ * @private
+ * @ignore
+ */
+function scanUTF16Stats(stats, data) {
+  var len = data && data.length;
+  var b;
+
+  for (var i = 0; i < len; i++) {
+    b = data[i];
+    if (b > 0xFF) {
+      stats.wide = true;
+      break;
+    }
+
+    if (b === 0x00) {
+      stats.nulls[stats.length % 2]++;
+    } else if (b > 0x7F) {
+      stats.nonASCII++;
+    }
+
+    if (stats.length % 2 === 0) {
+      stats.last = b;
+    } else {
+      countUTF16Unit(stats.orders[0], stats.last << 8 | b, stats.length - 1);
+      countUTF16Unit(stats.orders[1], b << 8 | stats.last, stats.length - 1);
+    }
+    stats.length++;
+  }
+
+  return stats;
+}
+
+function countUTF16Unit(order, c, offset) {
+  order.units++;
+
+  if (!order.highBytes[c >> 8]) {
+    order.highBytes[c >> 8] = true;
+    order.highs++;
+  }
+
+  // Both bytes are the ASCII letters or space (e.g. 'ab' or 'a ').
+  // The digits and the symbols are excluded, because they are the high
+  //  byte of kana (0x30xx) and the low byte of many CJK characters.
+  if (isLatinByte(c >> 8) && isLatinByte(c & 0xFF)) {
+    order.latin++;
+  }
+
+  if (c >= 0xD800 && c <= 0xDBFF) {
+    if (order.high) {
+      countUTF16Invalid(order, offset);
+    }
+    order.high = true;
+    return;
+  }
+
+  if (c >= 0xDC00 && c <= 0xDFFF) {
+    if (order.high) {
+      order.plausible += 2;
+    } else {
+      countUTF16Invalid(order, offset);
+    }
+    order.high = false;
+    return;
+  }
+
+  if (order.high) {
+    countUTF16Invalid(order, offset);
+    order.high = false;
+  }
+
+  if (isPlausibleUTF16Unit(c)) {
+    order.plausible++;
+  }
+}
+
+function isLatinByte(b) {
+  return b === 0x20 || (b >= 0x41 && b <= 0x5A) || (b >= 0x61 && b <= 0x7A);
+}
+
+function countUTF16Invalid(order, offset) {
+  if (order.invalid++ === 0) {
+    order.invalidOffset = offset;
+  }
+}
+
+/**
+ * Whether the code unit is used in the text usually.
+ *
+ * @private
+ * @ignore
+ */
+function isPlausibleUTF16Unit(c) {
+  if (c < 0x80) {
+    return (c >= 0x20 && c <= 0x7E) ||
+      c === 0x09 || c === 0x0A || c === 0x0D;
+  }
+
+  return (c >= 0x00A0 && c <= 0x07BF) || // Latin, Greek, Cyrillic, Arabic
+         (c >= 0x0900 && c <= 0x0EFF) || // Indic, Thai, Lao
+         (c >= 0x10A0 && c <= 0x11FF) || // Georgian, Hangul Jamo
+         (c >= 0x1E00 && c <= 0x2BFF) || // Punctuation, Symbols
+         (c >= 0x2E80 && c <= 0x9FFF) || // CJK, Kana
+         (c >= 0xAC00 && c <= 0xD7A3) || // Hangul
+         (c >= 0xF900 && c <= 0xFAFF) || // CJK Compatibility
+         (c >= 0xFE30 && c <= 0xFE4F) ||
+         (c >= 0xFF00 && c <= 0xFFEF) || // Halfwidth and Fullwidth Forms
+         c === 0xFEFF;
+}
+
+/**
+ * Guess the byte order of UTF-16 from the statistics.
+ *
+ * The byte order should be valid surrogate pairs, and most code units
+ *  should be in the plausible ranges. The null bytes of ASCII characters
+ *  are in even positions in big-endian, and odd positions in little-endian.
+ *
+ * @return {string|null} 'BE', 'LE' or null.
+ * @private
+ * @ignore
+ */
+function getUTF16ByteOrderFromStats(stats, isUTF8Data) {
+  var nulls = stats.nulls[0] + stats.nulls[1];
+  var strict = nulls === 0;
+  var skew = 0;
+  var be, le;
+
+  if (stats.wide || stats.length < 2) {
+    return null;
+  }
+
+  // The valid UTF-8 text is not UTF-16 without BOM.
+  if (isUTF8Data) {
+    return null;
+  }
+
+  // The 7-bit text without null bytes (e.g. ASCII with the escape
+  //  sequences) is not guessed as UTF-16.
+  if (strict && stats.nonASCII === 0) {
+    return null;
+  }
+
+  if (!strict) {
+    skew = (stats.nulls[0] - stats.nulls[1]) / nulls;
+  }
+
+  be = getUTF16OrderScore(stats.orders[0], strict);
+  le = getUTF16OrderScore(stats.orders[1], strict);
+  if (be < 0 && le < 0) {
+    return null;
+  }
+
+  if (strict && be >= 0 && le >= 0 &&
+      stats.orders[0].highs !== stats.orders[1].highs) {
+    // The text of a script uses a few kinds of the high byte.
+    return stats.orders[0].highs < stats.orders[1].highs ? 'BE' : 'LE';
+  }
+
+  // The byte order should be the big-endian when it is same score.
+  return be + 0.1 * skew >= le - 0.1 * skew ? 'BE' : 'LE';
+}
+
+/**
+ * Returns the ratio of the plausible code units, or -1 if it is not UTF-16.
+ *
+ * Without null bytes, UTF-16 is hard to distinguish from the single-byte
+ *  text. In that case, most code units should not be a pair of
+ *  ASCII letters.
+ *
+ * @private
+ * @ignore
+ */
+function getUTF16OrderScore(order, strict) {
+  if (order.units === 0 || order.invalid > 0) {
+    return -1;
+  }
+
+  var ratio = order.plausible / order.units;
+  if (strict) {
+    if (ratio < 0.9 || order.latin / order.units >= 0.4) {
+      return -1;
+    }
+  } else if (ratio < 0.8) {
+    return -1;
+  }
+
+  return ratio;
+}
+
+/**
+ * UTF-32
+ *
+ * Unicode 3.2.0: Unicode Standard Annex #19
+ *
+ * @link http://www.iana.org/assignments/charset-reg/UTF-32
+ * @link http://www.unicode.org/reports/tr19/tr19-9.html
+ * @private
+ * @ignore
+ */
+function isUTF32(data, options) {
+  return scanAll(EncodingScanners.UTF32, data, options);
+}
+
+/**
+ * UTF-32BE (big-endian)
+ *
+ * Note: UTF-32 without BOM is interpreted as big-endian (SHOULD),
+ *  unless the byte order can only be little-endian.
+ *
+ * @link http://www.unicode.org/reports/tr19/tr19-9.html
+ * @private
+ * @ignore
+ */
+function isUTF32BE(data, options) {
+  return scanAll(EncodingScanners.UTF32BE, data, options);
+}
+
+/**
+ * UTF-32LE (little-endian)
+ *
+ * @see isUTF32BE
+ * @private
+ * @ignore
+ */
+function isUTF32LE(data, options) {
+  return scanAll(EncodingScanners.UTF32LE, data, options);
+}
+
+/**
+ * The state of UTF-32, UTF-32BE and UTF-32LE.
+ *
+ * UTF-32 is detected by the first 3 null bytes (pos) and
+ *  an ASCII byte after (BE) or before (LE) them.
+ * be and le are whether each 4 bytes are valid code point in the byte order.
+ *
+ * @private
+ * @ignore
+ */
+function createUTF32State() {
+  return {
+    length: 0,
+    head: [],
+    unit: [],
+    last: [-1, -1, -1],
+    pos: -1,
+    prev: -1,
+    result: null,
+    error: null,
+    be: true,
+    le: true,
+    beError: null,
+    leError: null
+  };
+}
+
+function scanUTF32(state, data) {
+  var len = data && data.length;
+  var last = state.last;
+  var unit = state.unit;
+  var b, n;
+
+  for (var i = 0; i < len; i++) {
+    b = data[i];
+    n = state.length++;
+
+    if (n < 4) {
+      state.head[n] = b;
+      if (n === 3 && getUTF32BOMLength(state.head)) {
+        state.result = true;
+        break;
+      }
+    }
+
+    unit[n % 4] = b;
+    if (n % 4 === 3) {
+      if (state.be && (unit[0] !== 0x00 || unit[1] > 0x10 ||
+          (unit[1] === 0x00 && unit[2] >= 0xD8 && unit[2] <= 0xDF))) {
+        state.be = false;
+        state.beError = createScanError(n - 3, 'INVALID_CODE_POINT',
+          (unit[0] << 24 | unit[1] << 16 | unit[2] << 8 | unit[3]) >>> 0);
+      }
+      if (state.le && (unit[3] !== 0x00 || unit[2] > 0x10 ||
+          (unit[2] === 0x00 && unit[1] >= 0xD8 && unit[1] <= 0xDF))) {
+        state.le = false;
+        state.leError = createScanError(n - 3, 'INVALID_CODE_POINT',
+          (unit[3] << 24 | unit[2] << 16 | unit[1] << 8 | unit[0]) >>> 0);
+      }
+    }
+
+    if (state.result === null) {
+      if (state.pos !== -1) {
+        // The byte order should be the big-endian when BOM is not detected.
+        state.result = isUTF32ASCII(b) || isUTF32ASCII(state.prev);
+      } else if (b === 0x00 && last[0] === 0x00 && last[1] === 0x00) {
+        state.pos = n - 2;
+        state.prev = last[2];
+      } else if (b > 0xFF) {
+        state.result = false;
+        setScanError(state, n, 'NOT_BYTE', b);
+      }
+    }
+
+    last[2] = last[1];
+    last[1] = last[0];
+    last[0] = b;
+
+    if (state.result === false ||
+        (state.result === true && !state.be && !state.le)) {
+      break;
+    }
+  }
+
+  return state;
+}
+
+function isUTF32ASCII(b) {
+  return b > 0x00 && b <= 0x7F;
+}
+
+function endUTF32(state) {
+  if (state.length < 4) {
+    return false;
+  }
+
+  if (state.result !== null) {
+    return state.result;
+  }
+
+  // The data is ended after the null bytes.
+  return state.pos !== -1 && isUTF32ASCII(state.prev);
+}
+
+function explainUTF32(state, partial) {
+  if (state.length < 4) {
+    return createScanError(-1, 'TOO_SHORT');
+  }
+
+  if (endUTF32(state, partial)) {
+    return null;
+  }
+
+  if (state.error) {
+    return state.error;
+  }
+
+  if (state.pos === -1) {
+    return createScanError(-1, 'NO_NULL_BYTES');
+  }
+
+  return createScanError(state.pos, 'NO_ASCII_CHARACTER');
+}
+
+function explainUTF32BE(state, partial) {
+  var error = explainUTF32(state, partial);
+
+  if (getUTF32BOMLength(state.head)) {
+    return state.head[0] === 0x00 ? null : createScanError(0, 'BOM_MISMATCH');
+  }
+
+  return error || state.beError;
+}
+
+function explainUTF32LE(state, partial) {
+  var error = explainUTF32(state, partial);
+
+  if (getUTF32BOMLength(state.head)) {
+    return state.head[0] === 0xFF ? null : createScanError(0, 'BOM_MISMATCH');
+  }
+
+  if (error) {
+    return error;
+  }
+
+  return state.be ? createScanError(-1, 'BYTE_ORDER') : state.leError;
+}
+
+function endUTF32BE(state, partial) {
+  if (state.length < 4) {
+    return false;
+  }
+
+  if (getUTF32BOMLength(state.head)) {
+    return state.head[0] === 0x00;
+  }
+
+  return endUTF32(state, partial) && state.be;
+}
+
+function endUTF32LE(state, partial) {
+  if (state.length < 4) {
+    return false;
+  }
+
+  if (getUTF32BOMLength(state.head)) {
+    return state.head[0] === 0xFF;
+  }
+
+  return endUTF32(state, partial) && !state.be && state.le;
+}
+
+/**
+ * Guess the byte order of UTF-32 without BOM.
+ *
+ * Each 4 bytes must be a code point in the range 0 - 0x10FFFF
+ *  in the returned byte order.
+ *
+ * @return {string|null} 'BE', 'LE' or null.
+ * @private
+ * @ignore
+ */
+function getUTF32ByteOrder(data) {
+  var i = 0;
+  var len = data && data.length;
+  var be = true;
+  var le = true;
+
+  for (; i + 3 < len && (be || le); i += 4) {
+    if (be && (data[i] !== 0x00 || data[i + 1] > 0x10)) {
+      be = false;
+    }
+    if (le && (data[i + 3] !== 0x00 || data[i + 2] > 0x10)) {
+      le = false;
+    }
+  }
+
+  if (be) {
+    return 'BE';
+  }
+
+  return le ? 'LE' : null;
+}
+
+/**
+ * CESU-8
+ *
+ * Supplementary characters are encoded as the surrogate pairs,
+ *  and each surrogate is encoded as 3 bytes.
+ * The data is detected as CESU-8 only if it has any surrogate pair,
+ *  since the other data is same as UTF-8.
+ *
+ * @link http://www.unicode.org/reports/tr26/
+ * @private
+ * @ignore
+ */
+function isCESU8(data, options) {
+  return scanAll(EncodingScanners.CESU8, data, options);
+}
+
+/**
+ * Modified UTF-8 (Java)
+ *
+ * Same as CESU-8 except that U+0000 is encoded as 0xC0 0x80.
+ * The data is detected as Modified UTF-8 only if it has 0xC0 0x80.
+ *
+ * @link https://docs.oracle.com/javase/8/docs/api/java/io/DataInput.html#modified-utf-8
+ * @private
+ * @ignore
+ */
+function isMUTF8(data, options) {
+  return scanAll(EncodingScanners.MUTF8, data, options);
+}
+
+/**
+ * The state of CESU-8 and Modified UTF-8.
+ *
+ * surrogate is the kind of the surrogate of the current sequence,
+ *  and low is whether the next sequence should be the low surrogate.
+ *
+ * @private
+ * @ignore
+ */
+function createCESU8State(options) {
+  return {
+    valid: true,
+    need: 0,
+    lower: 0x80,
+    upper: 0xBF,
+    lead: 0,
+    leadOffset: -1,
+    surrogate: null,
+    low: false,
+    pairs: 0,
+    modifiedNulls: 0,
+    nullOffset: -1,
+    offset: 0,
+    error: null,
+    allowControlChars: !!(options && options.allowControlChars)
+  };
+}
+
+function scanCESU8(state, data) {
+  var i = 0;
+  var len = data && data.length;
+  var b;
+
+  for (; i < len && state.valid; i++) {
+    b = data[i];
+
+    if (state.need > 0) {
+      if (b < state.lower || b > state.upper) {
+        setCESU8Error(state, state.offset + i,
+          getUTF8ContinuationError(state.lead, b), b);
+        break;
+      }
+
+      if (state.lead === 0xED && state.surrogate === null) {
+        state.surrogate = b >= 0xB0 ? 'low' : b >= 0xA0 ? 'high' : '';
+        if ((state.surrogate === 'low') !== state.low) {
+          setCESU8Error(state, state.leadOffset, 'LONE_SURROGATE', state.lead);
+          break;
+        }
+      }
+
+      state.lower = 0x80;
+      state.upper = 0xBF;
+      if (--state.need === 0) {
+        endCESU8Sequence(state);
+      }
+      continue;
+    }
+
+    if (state.low) {
+      // The low surrogate should follow the high surrogate.
+      if (b !== 0xED) {
+        setCESU8Error(state, state.offset + i, 'LONE_SURROGATE', b);
+        break;
+      }
+    }
+
+    if (b > 0xFF) {
+      setCESU8Error(state, state.offset + i, 'NOT_BYTE', b);
+      break;
+    }
+
+    if (b === 0x09 || b === 0x0A || b === 0x0D ||
+        (b >= 0x20 && b <= 0x7E)) {
+      continue;
+    }
+
+    if (b <= 0x7F && state.allowControlChars) {
+      if (b === 0x00 && state.nullOffset === -1) {
+        state.nullOffset = state.offset + i;
+      }
+      continue;
+    }
+
+    state.lead = b;
+    state.leadOffset = state.offset + i;
+    state.surrogate = null;
+
+    if (b === 0xC0) {
+      // Modified UTF-8: U+0000 is encoded as 0xC0 0x80.
+      state.need = 1;
+      state.upper = 0x80;
+    } else if (b >= 0xC2 && b <= 0xDF) {
+      state.need = 1;
+    } else if (b === 0xE0) {
+      state.need = 2;
+      state.lower = 0xA0;
+    } else if (b >= 0xE1 && b <= 0xEF) {
+      state.need = 2;
+    } else if (b >= 0xF0 && b <= 0xF4) {
+      setCESU8Error(state, state.offset + i, 'SUPPLEMENTARY_SEQUENCE', b);
+    } else {
+      setCESU8Error(state, state.offset + i, getUTF8LeadError(b), b);
+    }
+  }
+
+  state.offset += len;
+  return state;
+}
+
+function setCESU8Error(state, offset, reason, value) {
+  state.valid = false;
+  setScanError(state, offset, reason, value);
+}
+
+function endCESU8Sequence(state) {
+  if (state.lead === 0xC0) {
+    state.modifiedNulls++;
+  } else if (state.surrogate === 'high') {
+    state.low = true;
+  } else if (state.surrogate === 'low') {
+    state.low = false;
+    state.pairs++;
+  }
+}
+
+function isCESU8Complete(state, partial) {
+  return state.valid && (partial || (state.need === 0 && !state.low));
+}
+
+function endCESU8(state, partial) {
+  return isCESU8Complete(state, partial) &&
+    state.pairs > 0 && state.modifiedNulls === 0;
+}
+
+function endMUTF8(state, partial) {
+  return isCESU8Complete(state, partial) &&
+    state.modifiedNulls > 0 && state.nullOffset === -1;
+}
+
+function explainCESU8Sequence(state, partial) {
+  if (state.error) {
+    return state.error;
+  }
+
+  if (!partial && state.need > 0) {
+    return createScanError(state.leadOffset, 'TRUNCATED_SEQUENCE', state.lead);
+  }
+
+  if (!partial && state.low) {
+    return createScanError(state.leadOffset, 'LONE_SURROGATE', state.lead);
+  }
+
+  return null;
+}
+
+function explainCESU8(state, partial) {
+  var error = explainCESU8Sequence(state, partial);
+
+  if (error) {
+    return error;
+  }
+
+  if (state.modifiedNulls > 0) {
+    return createScanError(-1, 'MODIFIED_NULL');
+  }
+
+  return createScanError(-1, 'NO_SURROGATE_PAIR');
+}
+
+function explainMUTF8(state, partial) {
+  var error = explainCESU8Sequence(state, partial);
+
+  if (error) {
+    return error;
+  }
+
+  if (state.nullOffset !== -1) {
+    return createScanError(state.nullOffset, 'NULL_BYTE', 0);
+  }
+
+  return createScanError(-1, 'NO_MODIFIED_NULL');
+}
+
+/**
+ * JavaScript Unicode array
+ *
+ * @private
+ * @ignore
+ */
+function isUNICODE(data, options) {
+  return scanAll(EncodingScanners.UNICODE, data, options);
+}
+
+function createUNICODEState() {
+  return {
+    valid: true,
+    offset: 0,
+    error: null
+  };
+}
+
+function scanUNICODE(state, data) {
+  var i = 0;
+  var len = data && data.length;
+  var c;
+
+  for (; i < len && state.valid; i++) {
+    c = data[i];
+    if (c < 0 || c > 0x10FFFF) {
+      state.valid = false;
+      setScanError(state, state.offset + i, 'OUT_OF_RANGE', c);
+    }
+  }
+
+  state.offset += len;
+  return state;
+}
+
+function endUNICODE(state) {
+  return state.valid;
+}
+
+function explainUNICODE(state) {
+  return state.error;
+}
+
+/**
+ * Scan the whole data with the scanner, and returns the result.
+ *
+ * @private
+ * @ignore
+ */
+function scanAll(scanner, data, options, partial) {
+  var state = scanner.create(options);
+  scanner.scan(state, data);
+  return scanner.end(state, !!partial);
+}
+
+/**
+ * Whether the data is the encoding with the options of detect.
+ *
+ * @private
+ * @ignore
+ */
+function detectEncoding(encoding, data, options, partial) {
+  if (hasOwnProperty.call(EncodingScanners, encoding)) {
+    return scanAll(EncodingScanners[encoding], data, options, partial);
+  }
+
+  return EncodingDetect['is' + encoding](data, options);
+}
+
+/**
+ * Create the error of scanner.
+ *
+ * @param {number} offset The byte offset, or -1 if it is not a byte.
+ * @param {string} reason The reason code (see EncodingReasons).
+ * @param {number=} [value] The byte value (or the code point).
+ * @private
+ * @ignore
+ */
+function createScanError(offset, reason, value) {
+  return {
+    offset: offset,
+    reason: reason,
+    value: value == null ? null : value
+  };
+}
+
+/**
+ * Set the first error of the scanner.
+ *
+ * @private
+ * @ignore
+ */
+function setScanError(state, offset, reason, value) {
+  if (state.error === null) {
+    state.error = createScanError(offset, reason, value);
+  }
+}
+
+/**
+ * Returns the explanation of the error for human.
+ *  (e.g., "invalid continuation byte 0x41 at 1043")
+ *
+ * @private
+ * @ignore
+ */
+function getScanErrorMessage(error) {
+  var message = EncodingReasons[error.reason] || error.reason;
+
+  if (error.value !== null) {
+    var hex = error.value.toString(16).toUpperCase();
+    message += ' 0x' + (hex.length % 2 ? '0' + hex : hex);
+  }
+
+  if (error.offset >= 0) {
+    message += ' at ' + error.offset;
+  }
+
+  return message;
+}
+
+/**
+ * Returns the BOM that found at the beginning of data.
+ *
+ * UTF-32LE BOM is checked before UTF-16LE because
+ *  they begin with the same bytes.
+ *
+ * @return {Object|null} The object {encoding, length} or null.
+ * @private
+ * @ignore
+ */
+function getBOM(data) {
+  var len = data && data.length;
+
+  if (getUTF32BOMLength(data)) {
+    return {
+      encoding: data[0] === 0xFF ? 'UTF32LE' : 'UTF32BE',
+      length: 4
+    };
+  }
+
+  if (len >= 3 &&
+      data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+    return { encoding: 'UTF8', length: 3 };
+  }
+
+  if (len >= 2) {
+    if (data[0] === 0xFE && data[1] === 0xFF) {
+      return { encoding: 'UTF16BE', length: 2 };
+    }
+
+    if (data[0] === 0xFF && data[1] === 0xFE) {
+      return { encoding: 'UTF16LE', length: 2 };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether the BOM is for the encoding.
+ *  (e.g., UTF16BE BOM is a BOM for UTF16BE and UTF16)
+ *
+ * @private
+ * @ignore
+ */
+function isBOMOf(bom, encoding) {
+  if (bom === null) {
+    return false;
+  }
+
+  return bom.encoding === encoding ||
+    bom.encoding.replace(/[BL]E$/, '') === encoding;
+}
+
+/**
+ * Counts the statistics of bytes for detectAll.
+ *
+ * @private
+ * @ignore
+ */
+function getByteStats(data) {
+  var stats = {
+    length: data.length,
+    bom: getBOM(data),
+    nulls: { even: 0, odd: 0 },
+    high: 0,
+    wide: 0
+  };
+  var c;
+
+  for (var i = 0, len = data.length; i < len; i++) {
+    c = data[i];
+    if (c === 0x00) {
+      if (i % 2 === 0) {
+        stats.nulls.even++;
+      } else {
+        stats.nulls.odd++;
+      }
+    } else if (c > 0xFF) {
+      stats.wide++;
+    } else if (c >= 0x80) {
+      stats.high++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Counts the invalid sequences of the encoding.
+ *
+ * @private
+ * @ignore
+ */
+function countInvalid(encoding, data) {
+  var bom = getBOM(data);
+
+  switch (encoding) {
+    case 'ASCII':
+      return countInvalidASCII(data);
+    case 'UTF8':
+      return countInvalidUTF8(data);
+    case 'UTF16':
+      if (bom !== null && isBOMOf(bom, 'UTF16')) {
+        return countInvalidUTF16(data, bom.encoding === 'UTF16LE');
+      }
+      return Math.min(countInvalidUTF16(data, false),
+                      countInvalidUTF16(data, true));
+    case 'UTF16BE':
+      return countInvalidUTF16(data, false);
+    case 'UTF16LE':
+      return countInvalidUTF16(data, true);
+    case 'UTF32':
+      if (bom !== null && isBOMOf(bom, 'UTF32')) {
+        return countInvalidUTF32(data, bom.encoding === 'UTF32LE');
+      }
+      return Math.min(countInvalidUTF32(data, false),
+                      countInvalidUTF32(data, true));
+    case 'UTF32BE':
+      return countInvalidUTF32(data, false);
+    case 'UTF32LE':
+      return countInvalidUTF32(data, true);
+    case 'UNICODE':
+      return countInvalidUNICODE(data);
+  }
+
+  return 0;
+}
+
+function countInvalidASCII(data) {
+  var count = 0;
+
+  for (var i = 0, len = data.length; i < len; i++) {
+    if (data[i] > 0x7F || data[i] === 0x1B) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+function countInvalidUTF8(data) {
+  var count = 0;
+  var i = 0;
+  var len = data.length;
+  var b, n, lower, upper, j;
+
+  while (i < len) {
+    b = data[i++];
+    if (b < 0x80) {
+      continue;
+    }
+
+    lower = 0x80;
+    upper = 0xBF;
+    if (b >= 0xC2 && b <= 0xDF) {
+      n = 1;
+    } else if (b >= 0xE0 && b <= 0xEF) {
+      n = 2;
+      if (b === 0xE0) {
+        lower = 0xA0;
+      } else if (b === 0xED) {
+        upper = 0x9F;
+      }
+    } else if (b >= 0xF0 && b <= 0xF4) {
+      n = 3;
+      if (b === 0xF0) {
+        lower = 0x90;
+      } else if (b === 0xF4) {
+        upper = 0x8F;
+      }
+    } else {
+      count++;
+      continue;
+    }
+
+    // Count the maximal subpart as one invalid sequence.
+    for (j = 0; j < n; j++) {
+      if (i >= len || data[i] < lower || data[i] > upper) {
+        count++;
+        break;
+      }
+      lower = 0x80;
+      upper = 0xBF;
+      i++;
+    }
+  }
+
+  return count;
+}
+
+function countInvalidUTF16(data, isLE) {
+  var count = data.length % 2;
+  var len = data.length - count;
+  var c, high = false;
+
+  for (var i = 0; i < len; i += 2) {
+    if (data[i] > 0xFF || data[i + 1] > 0xFF) {
+      return len / 2 + count;
+    }
+
+    c = isLE ? (data[i + 1] << 8 | data[i]) : (data[i] << 8 | data[i + 1]);
+    if (c >= 0xD800 && c <= 0xDBFF) {
+      if (high) {
+        count++;
+      }
+      high = true;
+    } else if (c >= 0xDC00 && c <= 0xDFFF) {
+      if (!high) {
+        count++;
+      }
+      high = false;
+    } else {
+      if (high) {
+        count++;
+      }
+      high = false;
+    }
+  }
+
+  if (high) {
+    count++;
+  }
+
+  return count;
+}
+
+function countInvalidUTF32(data, isLE) {
+  var count = data.length % 4 ? 1 : 0;
+  var len = data.length;
+  var c;
+
+  for (var i = 0; i + 3 < len; i += 4) {
+    if (isLE) {
+      c = (data[i + 3] << 24 | data[i + 2] << 16 |
+           data[i + 1] << 8 | data[i]) >>> 0;
+    } else {
+      c = (data[i] << 24 | data[i + 1] << 16 |
+           data[i + 2] << 8 | data[i + 3]) >>> 0;
+    }
+
+    if (c > 0x10FFFF || (c >= 0xD800 && c <= 0xDFFF)) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+function countInvalidUNICODE(data) {
+  var count = 0;
+
+  for (var i = 0, len = data.length; i < len; i++) {
+    if (data[i] < 0 || data[i] > 0x10FFFF) {
+      count++;
+    }
+  }
+
+  return count;
+}
+
+/**
+ * Calculates the confidence (0 - 1) of the encoding for detectAll.
+ *
+ * @private
+ * @ignore
+ */
+function getConfidence(encoding, detected, evidence, stats) {
+  var confidence;
+  var nulls = evidence.nulls.even + evidence.nulls.odd;
+
+  if (stats.wide > 0) {
+    // The data is not a byte array.
+    return encoding === 'UNICODE' && detected ? 1 : 0;
+  }
+
+  if (evidence.bom) {
+    return 1;
+  }
+
+  switch (encoding) {
+    case 'UTF32':
+    case 'UTF32BE':
+    case 'UTF32LE':
+      confidence = detected ? 0.9 : 0;
+      break;
+    case 'UTF16':
+    case 'UTF16BE':
+    case 'UTF16LE':
+      if (!detected) {
+        confidence = 0;
+        break;
+      }
+      // The null bytes of UTF-16 text are mostly in either
+      //  even (BE) or odd (LE) positions, and the more code units
+      //  have the null byte, the more likely the text is UTF-16.
+      confidence = 0.5;
+      if (nulls > 0) {
+        confidence += 0.4 * Math.min(1,
+          Math.abs(evidence.nulls.even - evidence.nulls.odd) * 2 /
+          stats.length);
+      }
+      confidence *= 1 - Math.min(1, evidence.invalid * 2 / stats.length);
+      break;
+    case 'BINARY':
+      confidence = detected ? 0.4 : 0;
+      break;
+    case 'ASCII':
+      // The null bytes are valid ASCII, but rare in the text.
+      confidence = detected ? 0.9 : 0;
+      if (nulls > 0) {
+        confidence *= 1 - Math.min(1, nulls * 4 / stats.length);
+      }
+      break;
+    case 'UTF8':
+      // ASCII-only text is also valid UTF-8.
+      confidence = stats.high > 0 ? 0.95 : 0.85;
+      confidence *= 1 - Math.min(1, evidence.invalid / Math.max(1, stats.high));
+      if (!detected) {
+        confidence *= 0.5;
+      }
+      if (nulls > 0) {
+        confidence *= 1 - Math.min(1, nulls * 4 / stats.length);
+      }
+      break;
+    case 'CESU8':
+    case 'MUTF8':
+      // Detected only if there is the sequence that is not valid in UTF-8.
+      confidence = detected ? 0.9 : 0;
+      break;
+    case 'UNICODE':
+      // All byte arrays are valid UNICODE array.
+      confidence = detected ? 0.1 : 0;
+      break;
+    default:
+      confidence = detected ? 0.5 : 0;
+  }
+
+  return Math.round(confidence * 1000) / 1000;
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToUTF8(data, options) {
+  var bom = options && options.bom;
+  var results = encodeNative(data, bom);
+  var n = 0;
+  var i = 0;
+  var len = data && data.length;
+  var c, second;
+
+  if (results) {
+    return results;
+  }
+
+  results = createBuffer(8, getUTF8Length(data) + (bom ? 3 : 0));
+
+  if (bom) {
+    results[n++] = 0xEF;
+    results[n++] = 0xBB;
+    results[n++] = 0xBF;
+  }
+
+  for (; i < len; i++) {
+    c = data[i];
+
+    // high surrogate
+    if (c >= 0xD800 && c <= 0xDBFF && i + 1 < len) {
+      second = data[i + 1];
+      // low surrogate
+      if (second >= 0xDC00 && second <= 0xDFFF) {
+        c = (c - 0xD800) * 0x400 + second - 0xDC00 + 0x10000;
+        i++;
+      }
+    }
+
+    if (c >= 0xD800 && c <= 0xDFFF) {
+      c = handleLoneSurrogate(options, i, c);
+    }
+
+    if (c < 0x80) {
+      results[n++] = c;
+    } else if (c < 0x800) {
+      results[n++] = 0xC0 | ((c >> 6) & 0x1F);
+      results[n++] = 0x80 | (c & 0x3F);
+    } else if (c < 0x10000) {
+      results[n++] = 0xE0 | ((c >> 12) & 0xF);
+      results[n++] = 0x80 | ((c >> 6) & 0x3F);
+      results[n++] = 0x80 | (c & 0x3F);
+    } else if (c < 0x200000) {
+      results[n++] = 0xF0 | ((c >> 18) & 0xF);
+      results[n++] = 0x80 | ((c >> 12) & 0x3F);
+      results[n++] = 0x80 | ((c >> 6) & 0x3F);
+      results[n++] = 0x80 | (c & 0x3F);
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-8 to UTF-16 (JavaScript Unicode array)
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToUNICODE(data, options) {
+  return decodeUTF8(data, options, 'UTF8');
+}
+
+/**
+ * Decode UTF-8, CESU-8 or Modified UTF-8 to UTF-16
+ *  (JavaScript Unicode array).
+ *
+ * The 4-byte sequences are not allowed in CESU-8 and Modified UTF-8,
+ *  and 0xC0 0x80 is decoded to U+0000 in Modified UTF-8.
+ * The surrogates are allowed only as the pairs in CESU-8 and
+ *  Modified UTF-8, and not allowed in UTF-8.
+ *
+ * @private
+ * @ignore
+ */
+function decodeUTF8(data, options, encoding) {
+  var isUTF8 = encoding === 'UTF8';
+  var len = data && data.length;
+  var results = null;
+  var n = 0;
+  var i = 0;
+  var c, b, code, need, lower, upper, j;
+
+  if (isStripBOM(options, 'UTF8') && len >= 3 &&
+      data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+    i = 3;
+  }
+
+  if (isUTF8) {
+    results = decodeNative(data, i, 'UTF8');
+    if (results) {
+      return results;
+    }
+  }
+
+  // Each byte is decoded to one code unit at most.
+  results = createBuffer(16, len);
+
+  while (i < len) {
+    c = data[i];
+    if (c < 0x80) {
+      // 0xxx xxxx
+      results[n++] = c;
+      i++;
+      continue;
+    }
+
+    lower = 0x80;
+    upper = 0xBF;
+
+    if (c === 0xC0 && encoding === 'MUTF8') {
+      // 1100 0000  1000 0000 (U+0000)
+      need = 1;
+      code = 0;
+      upper = 0x80;
+    } else if (c >= 0xC2 && c <= 0xDF) {
+      // 110x xxxx  10xx xxxx
+      need = 1;
+      code = c & 0x1F;
+    } else if (c >= 0xE0 && c <= 0xEF) {
+      // 1110 xxxx  10xx xxxx  10xx xxxx
+      // Note: the encoded surrogates (0xED 0xA0-0xBF) are malformed
+      //  in UTF-8.
+      need = 2;
+      code = c & 0x0F;
+      if (c === 0xE0) {
+        lower = 0xA0;
+      } else if (c === 0xED && isUTF8) {
+        upper = 0x9F;
+      }
+    } else if (c >= 0xF0 && c <= 0xF4 && isUTF8) {
+      // 1111 0xxx  10xx xxxx  10xx xxxx  10xx xxxx
+      need = 3;
+      code = c & 0x07;
+      if (c === 0xF0) {
+        lower = 0x90;
+      } else if (c === 0xF4) {
+        upper = 0x8F;
+      }
+    } else {
+      n = handleDecodeError(results, n, options, encoding, i,
+        c > 0xFF ? 'NOT_BYTE' :
+        c >= 0xF0 && c <= 0xF4 ? 'SUPPLEMENTARY_SEQUENCE' :
+        getUTF8LeadError(c), c);
+      i++;
+      continue;
+    }
+
+    // Replace the maximal subpart of the invalid sequence with one U+FFFD.
+    for (j = i + 1; need > 0; j++, need--) {
+      if (j >= len) {
+        n = handleDecodeError(results, n, options, encoding, i,
+          'TRUNCATED_SEQUENCE', c);
+        break;
+      }
+
+      b = data[j];
+      if (b < lower || b > upper) {
+        n = handleDecodeError(results, n, options, encoding, j,
+          getUTF8ContinuationError(c, b), b);
+        break;
+      }
+
+      code = (code << 6) | (b & 0x3F);
+      lower = 0x80;
+      upper = 0xBF;
+    }
+
+    i = j;
+    if (need > 0) {
+      continue;
+    }
+
+    if (code >= 0xD800 && code <= 0xDFFF) {
+      // The high surrogate should be followed by the low surrogate
+      //  (0xED 0xB0-0xBF 0x80-0xBF).
+      if (code <= 0xDBFF && i + 2 < len && data[i] === 0xED &&
+          data[i + 1] >= 0xB0 && data[i + 1] <= 0xBF &&
+          data[i + 2] >= 0x80 && data[i + 2] <= 0xBF) {
+        results[n++] = code;
+        results[n++] = 0xDC00 | ((data[i + 1] & 0x0F) << 6) |
+          (data[i + 2] & 0x3F);
+        i += 3;
+      } else {
+        n = handleDecodeError(results, n, options, encoding, i - 3,
+          'LONE_SURROGATE', c);
+      }
+      continue;
+    }
+
+    if (code <= 0xFFFF) {
+      results[n++] = code;
+    } else {
+      // Split in surrogate halves
+      code -= 0x10000;
+      results[n++] = (code >> 10) + 0xD800; // High surrogate
+      results[n++] = (code % 0x400) + 0xDC00; // Low surrogate
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to UTF-16
+ *
+ * UTF-16BE (big-endian)
+ * Note: this function does not prepend the BOM by default.
+ *
+ * RFC 2781 4.3 Interpreting text labelled as UTF-16
+ *   If the first two octets of the text is not 0xFE followed by
+ *   0xFF, and is not 0xFF followed by 0xFE, then the text SHOULD be
+ *   interpreted as being big-endian.
+ *
+ * @link https://www.ietf.org/rfc/rfc2781.txt
+ * UTF-16, an encoding of ISO 10646
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToUTF16(data, options) {
+  if (options && options.bom) {
+    var optBom = options.bom;
+    if (!isString(optBom)) {
+      optBom = 'BE';
+    }
+
+    if (optBom.charAt(0).toUpperCase() === 'B') {
+      // Big-endian
+      return encodeUTF16(data, false, true, options);
+    }
+
+    // Little-endian
+    return encodeUTF16(data, true, true, options);
+  }
+
+  // Without BOM: Convert as BE (SHOULD).
+  return encodeUTF16(data, false, false, options);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to UTF-16BE
+ *
+ * @link https://www.ietf.org/rfc/rfc2781.txt
+ * UTF-16, an encoding of ISO 10646
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToUTF16BE(data, options) {
+  return encodeUTF16(data, false, !!(options && options.bom), options);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to UTF-16LE
+ *
+ * @link https://www.ietf.org/rfc/rfc2781.txt
+ * UTF-16, an encoding of ISO 10646
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToUTF16LE(data, options) {
+  return encodeUTF16(data, true, !!(options && options.bom), options);
+}
+
+/**
+ * Encode UTF-16 (JavaScript Unicode array) to UTF-16 bytes
+ *  (with BOM if specified).
+ *
+ * @private
+ * @ignore
+ */
+function encodeUTF16(data, isLE, bom, options) {
+  var len = data && data.length;
+  var results = createBuffer(8, len * 2 + 2);
+  var n = 0;
+  var i = 0;
+  var c, second;
+
+  if (bom) {
+    n = appendUTF16Unit(results, n, 0xFEFF, isLE);
+  }
+
+  for (; i < len; i++) {
+    c = data[i];
+
+    if (c >= 0xD800 && c <= 0xDFFF) {
+      second = data[i + 1];
+      if (c <= 0xDBFF && second >= 0xDC00 && second <= 0xDFFF) {
+        // Surrogate pair
+        n = appendUTF16Unit(results, n, c, isLE);
+        c = second;
+        i++;
+      } else {
+        c = handleLoneSurrogate(options, i, c);
+      }
+    } else if (c > 0xFFFF) {
+      continue;
+    }
+
+    n = appendUTF16Unit(results, n, c, isLE);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+function appendUTF16Unit(results, n, c, isLE) {
+  if (isLE) {
+    results[n++] = c & 0xFF;
+    results[n++] = c >> 8 & 0xFF;
+  } else {
+    results[n++] = c >> 8 & 0xFF;
+    results[n++] = c & 0xFF;
+  }
+
+  return n;
+}
+
+/**
+ * UTF-16BE to UTF-16 (JavaScript Unicode array)
+ *
+ * @link https://www.ietf.org/rfc/rfc2781.txt
+ * UTF-16, an encoding of ISO 10646
+ *
+ * @private
+ * @ignore
+ */
+function UTF16BEToUNICODE(data, options) {
+  var start = isStripBOM(options, 'UTF16BE') ? getUTF16BOMLength(data) : 0;
+  return decodeUTF16(data, false, start, options, 'UTF16BE');
+}
+
+/**
+ * UTF-16LE to UTF-16 (JavaScript Unicode array)
+ *
+ * @link https://www.ietf.org/rfc/rfc2781.txt
+ * UTF-16, an encoding of ISO 10646
+ *
+ * @private
+ * @ignore
+ */
+function UTF16LEToUNICODE(data, options) {
+  var start = isStripBOM(options, 'UTF16LE') ? getUTF16BOMLength(data) : 0;
+  return decodeUTF16(data, true, start, options, 'UTF16LE');
+}
+
+/**
+ * UTF-16 to UTF-16 (JavaScript Unicode array)
+ *
+ * @link https://www.ietf.org/rfc/rfc2781.txt
+ * UTF-16, an encoding of ISO 10646
+ *
+ * @private
+ * @ignore
+ */
+function UTF16ToUNICODE(data, options) {
+  var bomLength = getUTF16BOMLength(data);
+  var isLE;
+
+  if (bomLength) {
+    // Little-endian BOM starts with 0xFF
+    isLE = data[0] === 0xFF;
+  } else {
+    isLE = getUTF16ByteOrder(data) === 'LE';
+  }
+
+  return decodeUTF16(data, isLE,
+    isStripBOM(options, 'UTF16') ? bomLength : 0, options, 'UTF16');
+}
+
+/**
+ * UTF-16 to UTF-16BE
+ *
+ * @private
+ * @ignore
+ */
+function UTF16ToUTF16BE(data, options) {
+  var len = data && data.length;
+  var results = createBuffer(8, len + 4);
+  var n = 0;
+  var i = 0;
+  var isLE = false;
+  var first = true;
+  var stripBOM = isStripBOM(options, 'UTF16');
+  var c1, c2;
+
+  if (options && options.bom) {
+    results[n++] = 0xFE;
+    results[n++] = 0xFF;
+  }
+
+  while (i + 1 < len) {
+    c1 = data[i++];
+    c2 = data[i++];
+
+    if (first && i === 2) {
+      first = false;
+      if (c1 === 0xFE && c2 === 0xFF) {
+        isLE = false;
+      } else if (c1 === 0xFF && c2 === 0xFE) {
+        // Little-endian
+        isLE = true;
+      } else {
+        isLE = getUTF16ByteOrder(data) === 'LE';
+        i = 0;
+        continue;
+      }
+
+      if (stripBOM) {
+        continue;
+      }
+    }
+
+    if (isLE) {
+      results[n++] = c2;
+      results[n++] = c1;
+    } else {
+      results[n++] = c1;
+      results[n++] = c2;
+    }
+  }
+
+  if (i < len) {
+    n = handleDecodeError(results, n, options, 'UTF16', i, 'TRUNCATED_SEQUENCE',
+      data[i], [0xFF, 0xFD]);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-16BE to UTF-16
+ *
+ * @private
+ * @ignore
+ */
+function UTF16BEToUTF16(data, options) {
+  var isLE = false;
+  var bom;
+
+  if (options && options.bom) {
+    var optBom = options.bom;
+    if (!isString(optBom)) {
+      optBom = 'BE';
+    }
+
+    if (optBom.charAt(0).toUpperCase() === 'B') {
+      // Big-endian
+      bom = [0xFE, 0xFF];
+    } else {
+      // Little-endian
+      bom = [0xFF, 0xFE];
+      isLE = true;
+    }
+  }
+
+  var len = data && data.length;
+  var results = createBuffer(8, len + 4);
+  var n = 0;
+  var i = 0;
+
+  if (isStripBOM(options, 'UTF16BE')) {
+    i = getUTF16BOMLength(data);
+  }
+
+  if (bom) {
+    results[n++] = bom[0];
+    results[n++] = bom[1];
+  }
+
+  var c1, c2;
+  while (i + 1 < len) {
+    c1 = data[i++];
+    c2 = data[i++];
+
+    if (isLE) {
+      results[n++] = c2;
+      results[n++] = c1;
+    } else {
+      results[n++] = c1;
+      results[n++] = c2;
+    }
+  }
+
+  if (i < len) {
+    n = handleDecodeError(results, n, options, 'UTF16BE', i,
+      'TRUNCATED_SEQUENCE', data[i], isLE ? [0xFD, 0xFF] : [0xFF, 0xFD]);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-16 to UTF-16LE
+ *
+ * @private
+ * @ignore
+ */
+function UTF16ToUTF16LE(data, options) {
+  var len = data && data.length;
+  var results = createBuffer(8, len + 4);
+  var n = 0;
+  var i = 0;
+  var isLE = false;
+  var first = true;
+  var stripBOM = isStripBOM(options, 'UTF16');
+  var c1, c2;
+
+  if (options && options.bom) {
+    results[n++] = 0xFF;
+    results[n++] = 0xFE;
+  }
+
+  while (i + 1 < len) {
+    c1 = data[i++];
+    c2 = data[i++];
+
+    if (first && i === 2) {
+      first = false;
+      if (c1 === 0xFE && c2 === 0xFF) {
+        isLE = false;
+      } else if (c1 === 0xFF && c2 === 0xFE) {
+        // Little-endian
+        isLE = true;
+      } else {
+        isLE = getUTF16ByteOrder(data) === 'LE';
+        i = 0;
+        continue;
+      }
+
+      if (stripBOM) {
+        continue;
+      }
+    }
+
+    if (isLE) {
+      results[n++] = c1;
+      results[n++] = c2;
+    } else {
+      results[n++] = c2;
+      results[n++] = c1;
+    }
+  }
+
+  if (i < len) {
+    n = handleDecodeError(results, n, options, 'UTF16', i, 'TRUNCATED_SEQUENCE',
+      data[i], [0xFD, 0xFF]);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-16LE to UTF-16
+ *
+ * @private
+ * @ignore
+ */
+function UTF16LEToUTF16(data, options) {
+  var isLE = false;
+  var bom;
+
+  if (options && options.bom) {
+    var optBom = options.bom;
+    if (!isString(optBom)) {
+      optBom = 'BE';
+    }
+
+    if (optBom.charAt(0).toUpperCase() === 'B') {
+      // Big-endian
+      bom = [0xFE, 0xFF];
+    } else {
+      // Little-endian
+      bom = [0xFF, 0xFE];
+      isLE = true;
+    }
+  }
+
+  var len = data && data.length;
+  var results = createBuffer(8, len + 4);
+  var n = 0;
+  var i = 0;
+
+  if (isStripBOM(options, 'UTF16LE')) {
+    i = getUTF16BOMLength(data);
+  }
+
+  if (bom) {
+    results[n++] = bom[0];
+    results[n++] = bom[1];
+  }
+
+  var c1, c2;
+  while (i + 1 < len) {
+    c1 = data[i++];
+    c2 = data[i++];
+
+    if (isLE) {
+      results[n++] = c1;
+      results[n++] = c2;
+    } else {
+      results[n++] = c2;
+      results[n++] = c1;
+    }
+  }
+
+  if (i < len) {
+    n = handleDecodeError(results, n, options, 'UTF16LE', i,
+      'TRUNCATED_SEQUENCE', data[i], isLE ? [0xFD, 0xFF] : [0xFF, 0xFD]);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-16BE to UTF-16LE
+ *
+ * @private
+ * @ignore
+ */
+function UTF16BEToUTF16LE(data, options) {
+  return swapUTF16ByteOrder(data, options, 'UTF16BE', [0xFF, 0xFE]);
+}
+
+/**
+ * UTF-16LE to UTF-16BE
+ *
+ * @private
+ * @ignore
+ */
+function UTF16LEToUTF16BE(data, options) {
+  return swapUTF16ByteOrder(data, options, 'UTF16LE', [0xFE, 0xFF]);
+}
+
+/**
+ * Swap the byte order of UTF-16BE or UTF-16LE.
+ *
+ * @param {Array} data The data.
+ * @param {Object} options The options of convert.
+ * @param {string} from The encoding of data.
+ * @param {Array.<number>} bom The BOM of the result.
+ * @private
+ * @ignore
+ */
+function swapUTF16ByteOrder(data, options, from, bom) {
+  var len = data && data.length;
+  var results = createBuffer(8, len + 4);
+  var n = 0;
+  var i = 0;
+  var c1, c2;
+
+  if (options && options.bom) {
+    results[n++] = bom[0];
+    results[n++] = bom[1];
+  }
+
+  if (isStripBOM(options, from)) {
+    i = getUTF16BOMLength(data);
+  }
+
+  while (i + 1 < len) {
+    c1 = data[i++];
+    c2 = data[i++];
+    results[n++] = c2;
+    results[n++] = c1;
+  }
+
+  if (i < len) {
+    n = handleDecodeError(results, n, options, from, i, 'TRUNCATED_SEQUENCE',
+      data[i], bom[0] === 0xFF ? [0xFD, 0xFF] : [0xFF, 0xFD]);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-8 to UTF-16
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToUTF16(data, options) {
+  return UNICODEToUTF16(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16 to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16ToUTF8(data, options) {
+  return UNICODEToUTF8(UTF16ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-8 to UTF-16BE
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToUTF16BE(data, options) {
+  return UNICODEToUTF16BE(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16BE to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16BEToUTF8(data, options) {
+  return UNICODEToUTF8(UTF16BEToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-8 to UTF-16LE
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToUTF16LE(data, options) {
+  return UNICODEToUTF16LE(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16LE to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16LEToUTF8(data, options) {
+  return UNICODEToUTF8(UTF16LEToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to UTF-32
+ *
+ * UTF-32BE (big-endian)
+ * Note: this function does not prepend the BOM by default.
+ *
+ * The bom option is same as UNICODEToUTF16.
+ *
+ * @link http://www.unicode.org/reports/tr19/tr19-9.html
+ * @private
+ * @ignore
+ */
+function UNICODEToUTF32(data, options) {
+  if (options && options.bom) {
+    var optBom = options.bom;
+    if (!isString(optBom)) {
+      optBom = 'BE';
+    }
+
+    if (optBom.charAt(0).toUpperCase() === 'B') {
+      // Big-endian
+      return encodeUTF32(data, false, true, options);
+    }
+
+    // Little-endian
+    return encodeUTF32(data, true, true, options);
+  }
+
+  // Without BOM: Convert as BE (SHOULD).
+  return encodeUTF32(data, false, false, options);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to UTF-32BE
+ *
+ * Surrogate pairs are joined to a code point.
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToUTF32BE(data, options) {
+  return encodeUTF32(data, false, !!(options && options.bom), options);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to UTF-32LE
+ *
+ * @see UNICODEToUTF32BE
+ * @private
+ * @ignore
+ */
+function UNICODEToUTF32LE(data, options) {
+  return encodeUTF32(data, true, !!(options && options.bom), options);
+}
+
+/**
+ * Encode UTF-16 (JavaScript Unicode array) to UTF-32 bytes
+ *  (with BOM if specified).
+ *
+ * Surrogate pairs are joined to a code point.
+ *
+ * @private
+ * @ignore
+ */
+function encodeUTF32(data, isLE, bom, options) {
+  var len = data && data.length;
+  var results = createBuffer(8, len * 4 + 4);
+  var n = 0;
+  var i = 0;
+  var c;
+
+  if (bom) {
+    if (isLE) {
+      results[n++] = 0xFF;
+      results[n++] = 0xFE;
+      results[n++] = 0x00;
+      results[n++] = 0x00;
+    } else {
+      results[n++] = 0x00;
+      results[n++] = 0x00;
+      results[n++] = 0xFE;
+      results[n++] = 0xFF;
+    }
+  }
+
+  while (i < len) {
+    c = nextCodePoint(data, i);
+    if (c >= 0xD800 && c <= 0xDFFF) {
+      c = handleLoneSurrogate(options, i, c);
+    }
+    i += c > 0xFFFF ? 2 : 1;
+
+    if (isLE) {
+      results[n++] = c & 0xFF;
+      results[n++] = c >> 8 & 0xFF;
+      results[n++] = c >> 16 & 0xFF;
+      results[n++] = c >> 24 & 0xFF;
+    } else {
+      results[n++] = c >> 24 & 0xFF;
+      results[n++] = c >> 16 & 0xFF;
+      results[n++] = c >> 8 & 0xFF;
+      results[n++] = c & 0xFF;
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-32BE to UTF-16 (JavaScript Unicode array)
+ *
+ * @private
+ * @ignore
+ */
+function UTF32BEToUNICODE(data, options) {
+  return decodeUTF32(data, false,
+    isStripBOM(options, 'UTF32BE') ? getUTF32BOMLength(data) : 0,
+    options, 'UTF32BE');
+}
+
+/**
+ * UTF-32LE to UTF-16 (JavaScript Unicode array)
+ *
+ * @private
+ * @ignore
+ */
+function UTF32LEToUNICODE(data, options) {
+  return decodeUTF32(data, true,
+    isStripBOM(options, 'UTF32LE') ? getUTF32BOMLength(data) : 0,
+    options, 'UTF32LE');
+}
+
+/**
+ * UTF-32 to UTF-16 (JavaScript Unicode array)
+ *
+ * The byte order is decided by BOM, or guessed when BOM is not found.
+ *
+ * @private
+ * @ignore
+ */
+function UTF32ToUNICODE(data, options) {
+  var len = data && data.length;
+  var isLE = false;
+  var bomLength = getUTF32BOMLength(data);
+
+  if (bomLength) {
+    // Little-endian BOM starts with 0xFF
+    isLE = data[0] === 0xFF;
+  } else if (len >= 4) {
+    isLE = getUTF32ByteOrder(data) === 'LE';
+  }
+
+  return decodeUTF32(data, isLE,
+    isStripBOM(options, 'UTF32') ? bomLength : 0, options, 'UTF32');
+}
+
+/**
+ * UTF-8 to UTF-32
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToUTF32(data, options) {
+  return UNICODEToUTF32(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-32 to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF32ToUTF8(data, options) {
+  return UNICODEToUTF8(UTF32ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-8 to UTF-32BE
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToUTF32BE(data, options) {
+  return UNICODEToUTF32BE(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-32BE to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF32BEToUTF8(data, options) {
+  return UNICODEToUTF8(UTF32BEToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-8 to UTF-32LE
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToUTF32LE(data, options) {
+  return UNICODEToUTF32LE(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-32LE to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF32LEToUTF8(data, options) {
+  return UNICODEToUTF8(UTF32LEToUNICODE(data, options), options);
+}
+
+/**
+ * ASCII to UTF-16 (JavaScript Unicode array)
+ *
+ * @private
+ * @ignore
+ */
+function ASCIIToUNICODE(data, options) {
+  var len = data && data.length;
+  var results = createBuffer(16, len);
+  var n = 0;
+  var i = 0;
+  var b;
+
+  for (; i < len; i++) {
+    b = data[i];
+    if (b <= 0x7F) {
+      results[n++] = b;
+    } else {
+      n = handleDecodeError(results, n, options, 'ASCII', i,
+        b > 0xFF ? 'NOT_BYTE' : 'NON_ASCII_BYTE', b);
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to ASCII
+ *
+ * The non-ASCII characters are converted by the fallback option.
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToASCII(data, options) {
+  var len = data && data.length;
+  // Each code unit is encoded to one byte unless the fallback is longer.
+  var results = createBuffer(8, len);
+  var n = 0;
+  var i = 0;
+  var c, second, index, bytes, j;
+
+  for (; i < len; i++) {
+    c = data[i];
+
+    if (c <= 0x7F) {
+      results[n++] = c;
+      continue;
+    }
+
+    index = i;
+    if (c >= 0xD800 && c <= 0xDBFF) {
+      second = data[i + 1];
+      if (second >= 0xDC00 && second <= 0xDFFF) {
+        c = (c - 0xD800) * 0x400 + second - 0xDC00 + 0x10000;
+        i++;
+      }
+    }
+
+    bytes = getFallbackBytes(options, null, c, index, 'ASCII');
+    results = growBuffer(results, n, bytes.length + len - i);
+    for (j = 0; j < bytes.length; j++) {
+      results[n++] = bytes[j];
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to CESU-8
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToCESU8(data, options) {
+  return encodeCESU8(data, options, false);
+}
+
+/**
+ * CESU-8 to UTF-16 (JavaScript Unicode array)
+ *
+ * @private
+ * @ignore
+ */
+function CESU8ToUNICODE(data, options) {
+  return decodeUTF8(data, options, 'CESU8');
+}
+
+/**
+ * UTF-16 (JavaScript Unicode array) to Modified UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UNICODEToMUTF8(data, options) {
+  return encodeCESU8(data, options, true);
+}
+
+/**
+ * Modified UTF-8 to UTF-16 (JavaScript Unicode array)
+ *
+ * @private
+ * @ignore
+ */
+function MUTF8ToUNICODE(data, options) {
+  return decodeUTF8(data, options, 'MUTF8');
+}
+
+/**
+ * Encode UTF-16 (JavaScript Unicode array) to CESU-8 or Modified UTF-8.
+ *
+ * Each UTF-16 code unit (including surrogates) is encoded as 1 - 3 bytes.
+ *
+ * @param {Array} data The UNICODE array.
+ * @param {Object} options The options of convert.
+ * @param {boolean} isModified Whether encode U+0000 as 0xC0 0x80.
+ * @private
+ * @ignore
+ */
+function encodeCESU8(data, options, isModified) {
+  var len = data && data.length;
+  // Each code unit is encoded to 3 bytes at most.
+  var results = createBuffer(8, len * 3 + 3);
+  var n = 0;
+  var i = 0;
+  var c, second;
+
+  if (options && options.bom) {
+    results[n++] = 0xEF;
+    results[n++] = 0xBB;
+    results[n++] = 0xBF;
+  }
+
+  for (; i < len; i++) {
+    c = data[i];
+
+    if (c >= 0xD800 && c <= 0xDFFF) {
+      second = data[i + 1];
+      if (c <= 0xDBFF && second >= 0xDC00 && second <= 0xDFFF) {
+        // Surrogate pair
+        n = appendCESU8Unit(results, n, c);
+        c = second;
+        i++;
+      } else {
+        c = handleLoneSurrogate(options, i, c);
+      }
+    } else if (c > 0xFFFF && c <= 0x10FFFF) {
+      // The code point is encoded to 6 bytes.
+      results = growBuffer(results, n, (len - i) * 3 + 3);
+      c -= 0x10000;
+      n = appendCESU8Unit(results, n, 0xD800 + (c >> 10));
+      c = 0xDC00 + (c & 0x3FF);
+    } else if (c > 0xFFFF) {
+      continue;
+    }
+
+    if (c === 0 && isModified) {
+      results[n++] = 0xC0;
+      results[n++] = 0x80;
+    } else {
+      n = appendCESU8Unit(results, n, c);
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+function appendCESU8Unit(results, n, c) {
+  if (c < 0x80) {
+    results[n++] = c;
+  } else if (c < 0x800) {
+    results[n++] = 0xC0 | ((c >> 6) & 0x1F);
+    results[n++] = 0x80 | (c & 0x3F);
+  } else {
+    results[n++] = 0xE0 | ((c >> 12) & 0xF);
+    results[n++] = 0x80 | ((c >> 6) & 0x3F);
+    results[n++] = 0x80 | (c & 0x3F);
+  }
+
+  return n;
+}
+
+/**
+ * UTF-8 to CESU-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToCESU8(data, options) {
+  return UNICODEToCESU8(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * CESU-8 to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function CESU8ToUTF8(data, options) {
+  return UNICODEToUTF8(CESU8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16 to CESU-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16ToCESU8(data, options) {
+  return UNICODEToCESU8(UTF16ToUNICODE(data, options), options);
+}
+
+/**
+ * CESU-8 to UTF-16
+ *
+ * @private
+ * @ignore
+ */
+function CESU8ToUTF16(data, options) {
+  return UNICODEToUTF16(CESU8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16BE to CESU-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16BEToCESU8(data, options) {
+  return UNICODEToCESU8(UTF16BEToUNICODE(data, options), options);
+}
+
+/**
+ * CESU-8 to UTF-16BE
+ *
+ * @private
+ * @ignore
+ */
+function CESU8ToUTF16BE(data, options) {
+  return UNICODEToUTF16BE(CESU8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16LE to CESU-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16LEToCESU8(data, options) {
+  return UNICODEToCESU8(UTF16LEToUNICODE(data, options), options);
+}
+
+/**
+ * CESU-8 to UTF-16LE
+ *
+ * @private
+ * @ignore
+ */
+function CESU8ToUTF16LE(data, options) {
+  return UNICODEToUTF16LE(CESU8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-8 to Modified UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF8ToMUTF8(data, options) {
+  return UNICODEToMUTF8(UTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * Modified UTF-8 to UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function MUTF8ToUTF8(data, options) {
+  return UNICODEToUTF8(MUTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16 to Modified UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16ToMUTF8(data, options) {
+  return UNICODEToMUTF8(UTF16ToUNICODE(data, options), options);
+}
+
+/**
+ * Modified UTF-8 to UTF-16
+ *
+ * @private
+ * @ignore
+ */
+function MUTF8ToUTF16(data, options) {
+  return UNICODEToUTF16(MUTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16BE to Modified UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16BEToMUTF8(data, options) {
+  return UNICODEToMUTF8(UTF16BEToUNICODE(data, options), options);
+}
+
+/**
+ * Modified UTF-8 to UTF-16BE
+ *
+ * @private
+ * @ignore
+ */
+function MUTF8ToUTF16BE(data, options) {
+  return UNICODEToUTF16BE(MUTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * UTF-16LE to Modified UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function UTF16LEToMUTF8(data, options) {
+  return UNICODEToMUTF8(UTF16LEToUNICODE(data, options), options);
+}
+
+/**
+ * Modified UTF-8 to UTF-16LE
+ *
+ * @private
+ * @ignore
+ */
+function MUTF8ToUTF16LE(data, options) {
+  return UNICODEToUTF16LE(MUTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * CESU-8 to Modified UTF-8
+ *
+ * @private
+ * @ignore
+ */
+function CESU8ToMUTF8(data, options) {
+  return UNICODEToMUTF8(CESU8ToUNICODE(data, options), options);
+}
+
+/**
+ * Modified UTF-8 to CESU-8
+ *
+ * @private
+ * @ignore
+ */
+function MUTF8ToCESU8(data, options) {
+  return UNICODEToCESU8(MUTF8ToUNICODE(data, options), options);
+}
+
+/**
+ * The tables of single-byte encodings.
+ *
+ * @see Encoding.defineSingleByteEncoding
+ * @private
+ * @ignore
+ */
+var SingleByteTables = {};
+
+/**
+ * The encodings that are registered by Encoding.registerEncoding
+ *  or Encoding.defineSingleByteEncoding.
+ *
+ * @private
+ * @ignore
+ */
+var RegisteredEncodings = {};
+
+/**
+ * Create the table to decode (byte to UNICODE)
+ *  and the table to encode (UNICODE to byte) of single-byte encoding.
+ *
+ * @private
+ * @ignore
+ */
+function createSingleByteTable(name, table, nl) {
+  var len = table && table.length;
+  if (len !== 128 && len !== 256) {
+    throw new Error('Invalid table of encoding: ' + name);
+  }
+
+  var decodes = [];
+  var encodes = {};
+  var offset = 256 - len;
+  var ascii = true;
+  var i, c;
+
+  for (i = 0; i < offset; i++) {
+    decodes[i] = i;
+  }
+
+  for (i = 0; i < len; i++) {
+    decodes[offset + i] = table[i];
+  }
+
+  for (i = 0x20; i < 0x7F && ascii; i++) {
+    ascii = decodes[i] === i;
+  }
+
+  // The first byte is used if the same character is mapped to some bytes.
+  for (i = 255; i >= 0; i--) {
+    c = decodes[i];
+    if (c !== 0xFFFD) {
+      encodes[c] = i;
+    }
+  }
+
+  return {
+    decodes: decodes,
+    encodes: encodes,
+    ascii: ascii,
+    nl: nl == null ? -1 : nl
+  };
+}
+
+/**
+ * Adds the encoding to EncodingNames, and defines the converters
+ *  and the detector.
+ *
+ * @param {string} name The encoding name.
+ * @param {Object} encoding The encoding.
+ *   - alias {Array.<string>} The alias names.
+ *   - order {number} The order of detection.
+ *   - decode {Function} The converter to UNICODE.
+ *   - encode {Function} The converter from UNICODE.
+ *   - scanner {Object} The scanner of the detector.
+ * @private
+ * @ignore
+ */
+function addEncoding(name, encoding) {
+  // The name and the alias names cannot take over the built-in encodings
+  //  (e.g. 'UCS4' is the alias name of UTF32BE).
+  if (isBuiltInEncoding(name)) {
+    throw new Error('Cannot replace the built-in encoding: ' + name);
+  }
+
+  if (encoding.alias) {
+    for (var i = 0; i < encoding.alias.length; i++) {
+      if (isBuiltInEncoding(encoding.alias[i])) {
+        throw new Error('Cannot replace the built-in encoding: ' +
+          encoding.alias[i]);
+      }
+    }
+  }
+
+  removeEncoding(name);
+
+  var names = {};
+  if (encoding.alias) {
+    names.alias = encoding.alias;
+  }
+
+  if (encoding.decode) {
+    EncodingConvert[name + 'ToUNICODE'] = encoding.decode;
+  }
+
+  if (encoding.encode) {
+    EncodingConvert['UNICODETo' + name] = encoding.encode;
+  }
+
+  if (encoding.scanner) {
+    defineDetector(name, encoding.scanner);
+    if (encoding.order != null) {
+      names.order = encoding.order;
+    }
+  }
+
+  EncodingNames[name] = names;
+  RegisteredEncodings[name] = true;
+
+  updateEncodingAliases();
+  updateEncodingOrders(Encoding.orders);
+}
+
+/**
+ * Returns whether the name or the alias name is the built-in encoding.
+ *
+ * @private
+ * @ignore
+ */
+function isBuiltInEncoding(label) {
+  var name = findEncodingName(label);
+  return name !== null && !hasOwnProperty.call(RegisteredEncodings, name);
+}
+
+/**
+ * Removes the registered encoding, and the converters and the detector.
+ *
+ * @private
+ * @ignore
+ */
+function removeEncoding(name) {
+  if (!hasOwnProperty.call(RegisteredEncodings, name)) {
+    return;
+  }
+
+  delete EncodingNames[name];
+  delete RegisteredEncodings[name];
+  delete SingleByteTables[name];
+  delete EncodingScanners[name];
+  delete EncodingDetect['is' + name];
+
+  // The encoding names are uppercase, so 'To' is the separator.
+  var methods = getKeys(EncodingConvert);
+  var prefix = name + 'To';
+  var suffix = 'To' + name;
+  var method;
+
+  for (var i = 0, len = methods.length; i < len; i++) {
+    method = methods[i];
+    if (method.slice(0, prefix.length) === prefix ||
+        method.slice(-suffix.length) === suffix) {
+      delete EncodingConvert[method];
+    }
+  }
+}
+
+/**
+ * Defines the detector by the scanner.
+ *
+ * @private
+ * @ignore
+ */
+function defineDetector(name, scanner) {
+  EncodingScanners[name] = scanner;
+  EncodingDetect['is' + name] = function(data, options) {
+    return scanAll(scanner, data, options);
+  };
+}
+
+/**
+ * Create the scanner of the detect function of registerEncoding.
+ *
+ * The scanned chunks are kept until the end, and the detect function
+ *  is called with the whole data.
+ *
+ * @private
+ * @ignore
+ */
+function createSampleScanner(detect) {
+  return {
+    create: function(options) {
+      return {
+        chunks: [],
+        length: 0,
+        options: options
+      };
+    },
+    scan: scanSample,
+    end: function(state) {
+      return !!detect(getSampleData(state), state.options);
+    },
+    explain: function() {
+      return createScanError(-1, 'REJECTED');
+    }
+  };
+}
+
+function scanSample(state, data) {
+  var len = data && data.length;
+  if (len > 0) {
+    state.chunks[state.chunks.length] = data;
+    state.length += len;
+  }
+
+  return state;
+}
+
+function getSampleData(state) {
+  var chunks = state.chunks;
+  if (chunks.length === 1) {
+    return chunks[0];
+  }
+
+  var results = [];
+  var i, j, len, chunk;
+
+  for (i = 0; i < chunks.length; i++) {
+    chunk = chunks[i];
+    for (j = 0, len = chunk.length; j < len; j++) {
+      results[results.length] = chunk[j];
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Decode single-byte encoding to UTF-16 (JavaScript Unicode array).
+ *
+ * The undefined bytes 0x80-0x9F are decoded to the C1 controls
+ *  (U+0080-U+009F) by the c1Controls option, as the indexes of
+ *  WHATWG Encoding Standard (used by TextDecoder).
+ *
+ * @private
+ * @ignore
+ */
+function decodeSingleByte(data, options, encoding) {
+  var table = SingleByteTables[encoding];
+  var decodes = table.decodes;
+  var nl = options && options.nlToLF ? table.nl : -1;
+  var c1 = !!(options && options.c1Controls);
+  var len = data && data.length;
+  var results = createBuffer(16, len);
+  var n = 0;
+  var i = 0;
+  var b, c;
+
+  for (; i < len; i++) {
+    b = data[i];
+    c = b === nl ? 0x0A : decodes[b];
+
+    if (c == null) {
+      n = handleDecodeError(results, n, options, encoding, i, 'NOT_BYTE', b);
+    } else if (c === 0xFFFD) {
+      if (c1 && b >= 0x80 && b <= 0x9F) {
+        results[n++] = b;
+      } else {
+        n = handleDecodeError(results, n, options, encoding, i,
+          'UNDEFINED_BYTE', b);
+      }
+    } else {
+      results[n++] = c;
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * Encode UTF-16 (JavaScript Unicode array) to single-byte encoding.
+ *
+ * The unmappable characters (including a surrogate pair) are
+ *  converted by the fallback option.
+ *
+ * @private
+ * @ignore
+ */
+function encodeSingleByte(data, options, encoding) {
+  var table = SingleByteTables[encoding];
+  var encodes = table.encodes;
+  var nl = options && options.nlToLF ? table.nl : -1;
+  var len = data && data.length;
+  // Each code unit is encoded to one byte unless the fallback is longer.
+  var results = createBuffer(8, len);
+  var n = 0;
+  var i = 0;
+  var c, second, index, bytes, j;
+
+  for (; i < len; i++) {
+    c = data[i];
+
+    if (c === 0x0A && nl !== -1) {
+      results[n++] = nl;
+      continue;
+    }
+
+    if (hasOwnProperty.call(encodes, c)) {
+      results[n++] = encodes[c];
+      continue;
+    }
+
+    index = i;
+    if (c >= 0xD800 && c <= 0xDBFF) {
+      second = data[i + 1];
+      if (second >= 0xDC00 && second <= 0xDFFF) {
+        c = (c - 0xD800) * 0x400 + second - 0xDC00 + 0x10000;
+        i++;
+      }
+    }
+
+    bytes = getFallbackBytes(options, encodes, c, index, encoding);
+    results = growBuffer(results, n, bytes.length + len - i);
+    for (j = 0; j < bytes.length; j++) {
+      results[n++] = bytes[j];
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * Returns the bytes of the unmappable character by the fallback option
+ *  of convert.
+ *
+ *   - (default) Convert to '?' of the encoding.
+ *   - {number} The byte to be used (EncodingError is thrown if it is
+ *      not an integer from 0x00 to 0xFF).
+ *   - {string} The characters to be used (the unmappable characters
+ *      in the string are converted to '?' of the encoding).
+ *   - {Function} The function that is called with the code point and
+ *      the index of UNICODE array, and returns the number or the string.
+ *      The default is used if it returns null, and nothing is appended
+ *      if it returns an empty string.
+ *
+ * @param {Object} options The options of convert.
+ * @param {Object} encodes The table to encode (UNICODE to byte),
+ *   or null for ASCII.
+ * @param {number} c The unmappable code point.
+ * @param {number} index The index of the character in UNICODE array.
+ * @param {string} encoding The encoding name to encode.
+ * @return {Array.<number>} The bytes.
+ * @private
+ * @ignore
+ */
+function getFallbackBytes(options, encodes, c, index, encoding) {
+  var fallback = options && options.fallback;
+  var results = [];
+
+  if (typeof fallback === 'function') {
+    fallback = fallback(c, index);
+  }
+
+  if (typeof fallback !== 'number' && !isString(fallback)) {
+    // '?' of the encoding (e.g. 0x6F in EBCDIC)
+    fallback = fromCharCode(UTF8_UNKNOWN);
+  }
+
+  if (typeof fallback === 'number') {
+    if (!(fallback >= 0 && fallback <= 0xFF && fallback % 1 === 0)) {
+      // The value is shown as hex only if it is a non-negative integer.
+      c = fallback >= 0 && fallback % 1 === 0 ? fallback : null;
+      throw new EncodingError(encoding,
+        createScanError(index, 'INVALID_FALLBACK', c));
+    }
+    results[0] = fallback;
+  } else if (isString(fallback)) {
+    for (var i = 0, len = fallback.length; i < len; i++) {
+      c = fallback.charCodeAt(i);
+      if (encodes === null ? c > 0x7F : !hasOwnProperty.call(encodes, c)) {
+        // The surrogate pair is one character.
+        if (c >= 0xD800 && c <= 0xDBFF && i + 1 < len) {
+          c = fallback.charCodeAt(i + 1);
+          if (c >= 0xDC00 && c <= 0xDFFF) {
+            i++;
+          }
+        }
+        c = UTF8_UNKNOWN;
+      }
+
+      if (encodes === null) {
+        results[results.length] = c;
+      } else if (hasOwnProperty.call(encodes, c)) {
+        results[results.length] = encodes[c];
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Create the scanner of single-byte encoding.
+ *
+ * The data is detected if all bytes are defined and are not
+ *  the control characters (except for TAB, LF, CR and NL) in the encoding.
+ * If the encoding is not ASCII compatible (e.g. EBCDIC), the text should
+ *  have a space and at least half of the characters should be ASCII letters,
+ *  digits or spaces, since the most of ASCII and UTF-8 text is also
+ *  decoded as the printable characters.
+ *
+ * @private
+ * @ignore
+ */
+function createSingleByteScanner(name) {
+  return {
+    create: function(options) {
+      return createSingleByteState(name, options);
+    },
+    scan: scanSingleByte,
+    end: endSingleByte,
+    explain: explainSingleByte
+  };
+}
+
+function createSingleByteState(name, options) {
+  var table = SingleByteTables[name];
+
+  return {
+    decodes: table.decodes,
+    ascii: table.ascii,
+    nl: table.nl,
+    letters: 0,
+    spaces: 0,
+    valid: true,
+    offset: 0,
+    error: null,
+    allowControlChars: !!(options && options.allowControlChars)
+  };
+}
+
+function scanSingleByte(state, data) {
+  var decodes = state.decodes;
+  var i = 0;
+  var len = data && data.length;
+  var b, c;
+
+  for (; i < len && state.valid; i++) {
+    b = data[i];
+    c = b === state.nl ? 0x0A : decodes[b];
+
+    if (c === 0x20) {
+      state.spaces++;
+      state.letters++;
+    } else if ((c >= 0x30 && c <= 0x39) ||
+               (c >= 0x41 && c <= 0x5A) || (c >= 0x61 && c <= 0x7A)) {
+      state.letters++;
+    } else if (c == null) {
+      setSingleByteError(state, state.offset + i, 'NOT_BYTE', b);
+    } else if (c === 0xFFFD) {
+      setSingleByteError(state, state.offset + i, 'UNDEFINED_BYTE', b);
+    } else if (c >= 0x80 && c <= 0x9F) {
+      // The C1 control characters are not allowed
+      //  even if allowControlChars is specified.
+      setSingleByteError(state, state.offset + i, 'CONTROL_CHARACTER', b);
+    } else if ((c < 0x20 || c === 0x7F) && !state.allowControlChars &&
+               c !== 0x09 && c !== 0x0A && c !== 0x0D) {
+      setSingleByteError(state, state.offset + i, 'CONTROL_CHARACTER', b);
+    }
+  }
+
+  state.offset += len;
+  return state;
+}
+
+function setSingleByteError(state, offset, reason, value) {
+  state.valid = false;
+  setScanError(state, offset, reason, value);
+}
+
+function endSingleByte(state) {
+  return state.valid && (state.ascii ||
+    (state.spaces > 0 && state.letters * 2 >= state.offset));
+}
+
+function explainSingleByte(state) {
+  return state.error || createScanError(-1, 'IMPLAUSIBLE');
+}
+
+/**
+ * Decode UTF-32 bytes to UTF-16 (JavaScript Unicode array).
+ *
+ * Code points larger than 0xFFFF are split in surrogate halves.
+ * The surrogate code points (0xD800 - 0xDFFF) and the code points larger
+ *  than 0x10FFFF are invalid, and handled by the errors option.
+ *
+ * @private
+ * @ignore
+ */
+function decodeUTF32(data, isLE, start, options, encoding) {
+  var len = data && data.length;
+  // Each 4 bytes are decoded to two code units at most.
+  var results = createBuffer(16, (len >> 1) + 1);
+  var n = 0;
+  var i = start || 0;
+  var code;
+
+  for (; i + 3 < len; i += 4) {
+    if (isLE) {
+      code = (data[i + 3] << 24 | data[i + 2] << 16 |
+              data[i + 1] << 8 | data[i]) >>> 0;
+    } else {
+      code = (data[i] << 24 | data[i + 1] << 16 |
+              data[i + 2] << 8 | data[i + 3]) >>> 0;
+    }
+
+    if (code >= 0xD800 && code <= 0xDFFF || code > 0x10FFFF) {
+      n = handleDecodeError(results, n, options, encoding, i,
+        'INVALID_CODE_POINT', code);
+    } else if (code <= 0xFFFF) {
+      results[n++] = code;
+    } else {
+      // Split in surrogate halves
+      code -= 0x10000;
+      results[n++] = (code >> 10) + 0xD800; // High surrogate
+      results[n++] = (code % 0x400) + 0xDC00; // Low surrogate
+    }
+  }
+
+  if (i < len) {
+    n = handleDecodeError(results, n, options, encoding, i,
+      'TRUNCATED_SEQUENCE', data[i]);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * Decode UTF-16 bytes to UTF-16 (JavaScript Unicode array).
+ *
+ * @private
+ * @ignore
+ */
+function decodeUTF16(data, isLE, start, options, encoding) {
+  var len = data && data.length;
+  var i = start || 0;
+  var results = decodeNative(data, i, isLE ? 'UTF16LE' : 'UTF16BE');
+  var n = 0;
+  var c, second;
+
+  if (results) {
+    return results;
+  }
+
+  results = createBuffer(16, (len >> 1) + 1);
+
+  for (; i + 1 < len; i += 2) {
+    c = readUTF16Unit(data, i, isLE);
+
+    // The lone surrogates are malformed.
+    if (c >= 0xD800 && c <= 0xDFFF) {
+      if (c <= 0xDBFF && i + 3 >= len) {
+        // The high surrogate at the end (with the odd byte)
+        n = handleDecodeError(results, n, options, encoding, i,
+          'TRUNCATED_SEQUENCE', c);
+        i = len;
+        break;
+      }
+
+      second = readUTF16Unit(data, i + 2, isLE);
+      if (c <= 0xDBFF && second >= 0xDC00 && second <= 0xDFFF) {
+        results[n++] = c;
+        results[n++] = second;
+        i += 2;
+      } else {
+        n = handleDecodeError(results, n, options, encoding, i,
+          'LONE_SURROGATE', c);
+      }
+      continue;
+    }
+
+    results[n++] = c;
+  }
+
+  if (i < len) {
+    n = handleDecodeError(results, n, options, encoding, i,
+      'TRUNCATED_SEQUENCE', data[i]);
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * Returns the code unit of UTF-16 bytes at the index.
+ *
+ * @private
+ * @ignore
+ */
+function readUTF16Unit(data, i, isLE) {
+  if (isLE) {
+    return ((data[i + 1] & 0xFF) << 8) | (data[i] & 0xFF);
+  }
+
+  return ((data[i] & 0xFF) << 8) | (data[i + 1] & 0xFF);
+}
+
+/**
+ * The native decoders of the encodings.
+ *
+ *   - label {string} The label of TextDecoder.
+ *   - invalid {Array.<number>} The malformed bytes to test
+ *      the fatal option of TextDecoder.
+ *
+ * @private
+ * @ignore
+ */
+var NativeEncodings = {
+  UTF8: {
+    label: 'utf-8',
+    invalid: [0xFF]
+  },
+  UTF16LE: {
+    label: 'utf-16le',
+    invalid: [0x00, 0xD8]
+  },
+  UTF16BE: {
+    label: 'utf-16be',
+    invalid: [0xD8, 0x00]
+  }
+};
+
+var NativeDecoders = {};
+var nativeEncoder = null;
+
+/**
+ * Decode UTF-8 or UTF-16BE/LE from the start index
+ *  by the native TextDecoder.
+ *
+ * Returns null if the native decoder is not available or the data is
+ *  malformed, so that the data is decoded by JavaScript
+ *  with the errors option.
+ *
+ * @private
+ * @ignore
+ */
+function decodeNative(data, start, encoding) {
+  var len = data && data.length;
+  if (!USE_NATIVE || !(len >= NATIVE_MIN_LENGTH)) {
+    return null;
+  }
+
+  var decoder = getNativeDecoder(encoding);
+  var bytes = decoder && toNativeBytes(data);
+  if (!bytes) {
+    return null;
+  }
+
+  try {
+    bytes = start ? bytes.subarray(start) : bytes;
+    return stringToNativeBuffer(decoder.decode(bytes));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Returns the native TextDecoder of the encoding in fatal mode, or null.
+ *
+ * @private
+ * @ignore
+ */
+function getNativeDecoder(encoding) {
+  if (!NativeTextDecoder) {
+    return null;
+  }
+
+  if (!hasOwnProperty.call(NativeDecoders, encoding)) {
+    var native = NativeEncodings[encoding];
+    var decoder = null;
+
+    NativeDecoders[encoding] = null;
+    try {
+      decoder = new NativeTextDecoder(native.label, {
+        fatal: true,
+        ignoreBOM: true
+      });
+      decoder.decode(new Uint8Array(native.invalid));
+      // The fatal option is not supported.
+      decoder = null;
+    } catch (e) {}
+
+    NativeDecoders[encoding] = decoder;
+  }
+
+  return NativeDecoders[encoding];
+}
+
+/**
+ * Encode UNICODE array to UTF-8 (with BOM if specified)
+ *  by the native TextEncoder or Node.js Buffer.
+ *
+ * Returns null if the native encoder is not available or the data has
+ *  lone surrogates (or the values that are not code units),
+ *  so that the data is encoded by JavaScript.
+ *
+ * @private
+ * @ignore
+ */
+function encodeNative(data, bom) {
+  var len = data && data.length;
+  if (!USE_NATIVE || !(len >= NATIVE_MIN_LENGTH)) {
+    return null;
+  }
+
+  if (!NativeTextEncoder && !HAS_NATIVE_BUFFER) {
+    return null;
+  }
+
+  var string = codeToNativeString(data);
+  if (string === null) {
+    return null;
+  }
+
+  if (bom) {
+    string = '\uFEFF' + string;
+  }
+
+  if (NativeTextEncoder) {
+    if (!nativeEncoder) {
+      nativeEncoder = new NativeTextEncoder();
+    }
+    return nativeEncoder.encode(string);
+  }
+
+  var buffer = Buffer.from(string, 'utf8');
+  return new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.length);
+}
+
+/**
+ * Returns the string of UNICODE array if it has only the well-formed
+ *  code units, or null.
+ *
+ * @private
+ * @ignore
+ */
+function codeToNativeString(data) {
+  var len = data.length;
+  var c, second;
+
+  for (var i = 0; i < len; i++) {
+    c = data[i];
+    if ((c & 0xFFFF) !== c) {
+      return null;
+    }
+
+    if (c >= 0xD800 && c <= 0xDFFF) {
+      second = data[i + 1];
+      if (c > 0xDBFF || (second & 0xFFFF) !== second ||
+          second < 0xDC00 || second > 0xDFFF) {
+        return null;
+      }
+      i++;
+    }
+  }
+
+  var decoder = IS_LITTLE_ENDIAN && getNativeDecoder('UTF16LE');
+  if (decoder) {
+    return decoder.decode(data instanceof Uint16Array ?
+      data : new Uint16Array(data));
+  }
+
+  return codeToString_fast(data);
+}
+
+/**
+ * Returns the Uint16Array of the string by Node.js Buffer if available.
+ *
+ * @private
+ * @ignore
+ */
+function stringToNativeBuffer(string) {
+  if (!HAS_NATIVE_BUFFER || !IS_LITTLE_ENDIAN) {
+    return stringToBuffer(string);
+  }
+
+  // Buffer.alloc is not allocated from the shared pool.
+  var buffer = Buffer.alloc(string.length * 2);
+  buffer.write(string, 'utf16le');
+  return new Uint16Array(buffer.buffer, buffer.byteOffset, string.length);
+}
+
+/**
+ * Returns the Uint8Array of the data for the native TextDecoder,
+ *  or null if the data has the values that are not bytes.
+ *
+ * @private
+ * @ignore
+ */
+function toNativeBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+
+  var len = data.length;
+  var bytes = new Uint8Array(len);
+  var b;
+
+  for (var i = 0; i < len; i++) {
+    b = data[i];
+    if ((b & 0xFF) !== b) {
+      return null;
+    }
+    bytes[i] = b;
+  }
+
+  return bytes;
+}
+
+/**
+ * Handle the malformed input by the errors option of convert.
+ *
+ *   - 'replace' Append the replacement character (default).
+ *   - 'fatal' Throw the EncodingError.
+ *   - 'ignore' Skip the malformed input.
+ *
+ * @param {Array|TypedArray} results The results of decoder.
+ * @param {number} n The length of the results.
+ * @param {Object} options The options of convert.
+ * @param {string} encoding The encoding name of input.
+ * @param {number} offset The byte offset of the malformed input.
+ * @param {string} reason The reason code (see EncodingReasons).
+ * @param {number} value The byte value.
+ * @param {Array.<number>=} [replacement] The replacement (default: U+FFFD).
+ * @return {number} The length of the results.
+ * @private
+ * @ignore
+ */
+function handleDecodeError(results, n, options, encoding, offset, reason,
+                           value, replacement) {
+  var mode = getErrorMode(options);
+
+  if (mode === 'fatal') {
+    throw new EncodingError(encoding, createScanError(offset, reason, value));
+  }
+
+  if (mode === 'replace') {
+    replacement = replacement || [0xFFFD];
+    for (var i = 0, len = replacement.length; i < len; i++) {
+      results[n++] = replacement[i];
+    }
+  }
+
+  return n;
+}
+
+/**
+ * Returns the errors option of convert.
+ *
+ * @private
+ * @ignore
+ */
+function getErrorMode(options) {
+  var mode = options && options.errors;
+  if (mode == null) {
+    return 'replace';
+  }
+
+  mode = ('' + mode).toLowerCase();
+  if (mode !== 'replace' && mode !== 'fatal' && mode !== 'ignore') {
+    throw new Error('Unknown errors option: ' + options.errors);
+  }
+
+  return mode;
+}
+
+/**
+ * Handle the lone surrogate by the loneSurrogates option of convert,
+ *  and returns the code to be encoded.
+ *
+ * The option is used only by the encoders. In decoding, the (encoded)
+ *  lone surrogates are the malformed input that is handled by
+ *  the errors option.
+ *
+ *   - 'wtf8' Encode the surrogate as is (default).
+ *   - 'replace' Replace with U+FFFD.
+ *   - 'fatal' Throw the EncodingError.
+ *
+ * @param {Object} options The options of convert.
+ * @param {number} index The index of the surrogate in UNICODE array.
+ * @param {number} c The surrogate.
+ * @return {number} The code to be encoded.
+ * @private
+ * @ignore
+ */
+function handleLoneSurrogate(options, index, c) {
+  var mode = getLoneSurrogateMode(options);
+
+  if (mode === 'fatal') {
+    throw new EncodingError('UNICODE',
+      createScanError(index, 'LONE_SURROGATE', c));
+  }
+
+  return mode === 'replace' ? 0xFFFD : c;
+}
+
+/**
+ * Returns the loneSurrogates option of convert.
+ *
+ * @private
+ * @ignore
+ */
+function getLoneSurrogateMode(options) {
+  var mode = options && options.loneSurrogates;
+  if (mode == null) {
+    return 'wtf8';
+  }
+
+  mode = ('' + mode).toLowerCase();
+  if (mode !== 'wtf8' && mode !== 'replace' && mode !== 'fatal') {
+    throw new Error('Unknown loneSurrogates option: ' +
+      options.loneSurrogates);
+  }
+
+  return mode;
+}
+
+/**
+ * Returns the line ending of the newline option of convert, or null.
+ *
+ *   - 'LF' (or '\n')
+ *   - 'CRLF' (or '\r\n')
+ *   - 'CR' (or '\r')
+ *
+ * @private
+ * @ignore
+ */
+function getNewline(options) {
+  var newline = options && options.newline;
+  if (newline == null) {
+    return null;
+  }
+
+  switch (('' + newline).toUpperCase()) {
+    case 'LF':
+    case '\n':
+      return [0x0A];
+    case 'CRLF':
+    case '\r\n':
+      return [0x0D, 0x0A];
+    case 'CR':
+    case '\r':
+      return [0x0D];
+  }
+
+  throw new Error('Unknown newline option: ' + newline);
+}
+
+/**
+ * Whether the encoding can be converted to and from UNICODE.
+ *
+ * @private
+ * @ignore
+ */
+function canConvertUnicode(from, to) {
+  return (from === 'UNICODE' ||
+          hasOwnProperty.call(EncodingConvert, from + 'ToUNICODE')) &&
+         (to === 'UNICODE' ||
+          hasOwnProperty.call(EncodingConvert, 'UNICODETo' + to));
+}
+
+/**
+ * Whether the data should be converted through UNICODE array to add or
+ *  remove the BOM by the options, even if the encodings are same.
+ *
+ * @private
+ * @ignore
+ */
+function isBOMConversion(from, to, options) {
+  return from === to && !!(options.bom || options.stripBOM) &&
+    /^(UTF(8|16|32)|CESU8|MUTF8)/.test(to);
+}
+
+/**
+ * Convert the data through UNICODE array,
+ *  and normalize the line endings (CR, LF and CRLF) on the way
+ *  if the newline is specified.
+ *
+ * @private
+ * @ignore
+ */
+function convertUnicode(data, from, to, options, newline) {
+  var unicode = data;
+  if (from !== 'UNICODE') {
+    unicode = EncodingConvert[from + 'ToUNICODE'](data, options);
+  }
+
+  if (newline !== null) {
+    unicode = normalizeNewline(unicode, newline);
+  }
+
+  if (to !== 'UNICODE') {
+    return EncodingConvert['UNICODETo' + to](unicode, options);
+  }
+
+  return unicode;
+}
+
+/**
+ * Replace CR, LF and CRLF in UNICODE array with the newline.
+ *
+ * @private
+ * @ignore
+ */
+function normalizeNewline(data, newline) {
+  var len = data && data.length;
+  var results = createBuffer(16, len * newline.length);
+  var n = 0;
+  var i = 0;
+  var c, j;
+
+  for (; i < len; i++) {
+    c = data[i];
+
+    if (c === 0x0D || c === 0x0A) {
+      if (c === 0x0D && data[i + 1] === 0x0A) {
+        i++;
+      }
+
+      for (j = 0; j < newline.length; j++) {
+        results[n++] = newline[j];
+      }
+    } else {
+      results[n++] = c;
+    }
+  }
+
+  return sliceBuffer(results, n);
+}
+
+/**
+ * Returns the index of the first lone surrogate in UNICODE array
+ *  from the start index, or -1.
+ *
+ * @private
+ * @ignore
+ */
+function indexOfLoneSurrogate(data, start) {
+  var len = data && data.length;
+  var c, second;
+
+  for (var i = start || 0; i < len; i++) {
+    c = data[i];
+    if (c >= 0xD800 && c <= 0xDFFF) {
+      second = data[i + 1];
+      if (c <= 0xDBFF && second >= 0xDC00 && second <= 0xDFFF) {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Returns the length of UTF-32 BOM (BE or LE), or 0.
+ *
+ * @private
+ * @ignore
+ */
+function getUTF32BOMLength(data) {
+  var len = data && data.length;
+
+  if (len >= 4 &&
+      ((data[0] === 0x00 && data[1] === 0x00 &&
+        data[2] === 0xFE && data[3] === 0xFF) ||
+       (data[0] === 0xFF && data[1] === 0xFE &&
+        data[2] === 0x00 && data[3] === 0x00))
+  ) {
+    return 4;
+  }
+
+  return 0;
+}
+
+/**
+ * Returns the byte length of UTF-16 BOM (BE or LE) at the beginning.
+ *
+ * @private
+ * @ignore
+ */
+function getUTF16BOMLength(data) {
+  var len = data && data.length;
+
+  if (len >= 2 &&
+      ((data[0] === 0xFE && data[1] === 0xFF) ||
+       (data[0] === 0xFF && data[1] === 0xFE))
+  ) {
+    return 2;
+  }
+
+  return 0;
+}
+
+/**
+ * Whether the BOM should be removed when decoding the encoding.
+ *
+ * The stripBOM option of convert is used if specified.
+ * Otherwise the BOM of UTF-8 is kept (as U+FEFF),
+ *  and the BOM of UTF-16 and UTF-32 is removed.
+ *
+ * @private
+ * @ignore
+ */
+function isStripBOM(options, encoding) {
+  if (options && options.stripBOM != null) {
+    return !!options.stripBOM;
+  }
+
+  return encoding !== 'UTF8';
+}
+
+/**
+ * Returns the code point at the index of JavaScript Unicode array.
+ *
+ * Surrogate pairs are joined, and lone surrogates are returned as is.
+ *
+ * @private
+ * @ignore
+ */
+function nextCodePoint(data, i) {
+  var c = data[i];
+  var second;
+
+  // high surrogate
+  if (c >= 0xD800 && c <= 0xDBFF && i + 1 < data.length) {
+    second = data[i + 1];
+    // low surrogate
+    if (second >= 0xDC00 && second <= 0xDFFF) {
+      return (c - 0xD800) * 0x400 + second - 0xDC00 + 0x10000;
+    }
+  }
+
+  return c;
+}
+
+/**
+ * Updates the encoding orders by the order of EncodingNames,
+ *  and returns the orders.
+ *
+ * @param {Array.<string>} orders The array to be updated.
+ * @return {Array.<string>} The orders.
+ * @private
+ * @ignore
+ */
+function updateEncodingOrders(orders) {
+  var names = getKeys(EncodingNames);
+  var name, encoding;
+
+  orders.length = 0;
+  for (var i = 0, len = names.length; i < len; i++) {
+    name = names[i];
+    encoding = EncodingNames[name];
+
+    if (encoding != null && typeof encoding.order !== 'undefined') {
+      orders[orders.length] = name;
+    }
+  }
+
+  orders.sort(function(a, b) {
+    return EncodingNames[a].order - EncodingNames[b].order;
+  });
+
+  return orders;
+}
+
+/**
+ * Updates EncodingAliases by the encoding names and the alias names.
+ *
+ * The encoding name takes precedence over the alias name of
+ *  the other encoding, and the alias name is kept by the encoding
+ *  that is added first (the registered encoding cannot take the alias
+ *  name of the other encoding).
+ *
+ * @private
+ * @ignore
+ */
+function updateEncodingAliases() {
+  var aliases = EncodingAliases;
+  var names = getKeys(aliases);
+  var i, len, j, name, alias, encoding;
+
+  for (i = 0, len = names.length; i < len; i++) {
+    delete aliases[names[i]];
+  }
+
+  names = getKeys(EncodingNames);
+  for (i = 0, len = names.length; i < len; i++) {
+    name = names[i];
+    aliases[name] = name;
+
+    encoding = EncodingNames[name];
+    if (encoding != null && encoding.alias) {
+      for (j = 0; j < encoding.alias.length; j++) {
+        alias = toEncodingKey(encoding.alias[j]);
+        if (!hasOwnProperty.call(EncodingNames, alias) &&
+            !hasOwnProperty.call(aliases, alias)) {
+          aliases[alias] = name;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Returns the key of EncodingAliases from the encoding name
+ *  (e.g. 'utf-8' to 'UTF8').
+ *
+ * @private
+ * @ignore
+ */
+function toEncodingKey(name) {
+  return ('' + name).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+}
+
+/**
+ * Assign the internal encoding name from the argument encoding name.
+ *
+ * The name is looked up in the encoding names and the alias names,
+ *  and the EncodingError is thrown if the encoding is unknown.
+ *
+ * @private
+ * @ignore
+ */
+function assignEncodingName(target) {
+  var name = findEncodingName(target);
+  if (name === null) {
+    throw createUnknownEncodingError(target);
+  }
+
+  return name;
+}
+
+/**
+ * Create the EncodingError of the unknown encoding name.
+ *
+ * @private
+ * @ignore
+ */
+function createUnknownEncodingError(name) {
+  return new EncodingError(name, createScanError(-1, 'UNKNOWN_ENCODING'));
+}
+
+/**
+ * The detector that scans the data given as chunks.
+ *
+ * @see Encoding.createDetector
+ * @private
+ * @ignore
+ */
+function EncodingDetector(options) {
+  var encodings = options;
+  if (isObject(options) && !isArray(options)) {
+    encodings = options.encodings;
+  } else {
+    options = {};
+  }
+
+  encodings = getEncodingList(encodings);
+
+  this.encodings = [];
+  this.scanners = [];
+  this.states = [];
+  this.length = 0;
+  this.ended = false;
+
+  var creates = [];
+  var e, encoding, scanner, index, j;
+
+  for (var i = 0, len = encodings.length; i < len; i++) {
+    e = encodings[i];
+    // The unknown encoding names are skipped.
+    encoding = findEncodingName(e);
+    if (encoding === null) {
+      continue;
+    }
+
+    if (!hasOwnProperty.call(EncodingScanners, encoding)) {
+      throw new Error('Undefined encoding: ' + e);
+    }
+
+    // The scanners that have the same create function share the state.
+    scanner = EncodingScanners[encoding];
+    index = -1;
+    for (j = 0; j < creates.length; j++) {
+      if (creates[j] === scanner.create) {
+        index = j;
+        break;
+      }
+    }
+
+    if (index === -1) {
+      index = creates.length;
+      creates[index] = scanner.create;
+      this.states[index] = scanner.create(options);
+    }
+
+    this.encodings[this.encodings.length] = encoding;
+    this.scanners[this.scanners.length] = {
+      scanner: scanner,
+      state: index
+    };
+  }
+}
+
+EncodingDetector.prototype = {
+  /**
+   * Scan the chunk.
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} chunk
+   *   The chunk of data.
+   * @return {Object} The detector.
+   */
+  push: function(chunk) {
+    if (this.ended) {
+      throw new Error('Detector has already ended');
+    }
+
+    chunk = toArrayData(chunk);
+    if (chunk == null || chunk.length === 0) {
+      return this;
+    }
+
+    var scanned = [];
+    var item;
+    for (var i = 0, len = this.scanners.length; i < len; i++) {
+      item = this.scanners[i];
+      if (!scanned[item.state]) {
+        scanned[item.state] = true;
+        item.scanner.scan(this.states[item.state], chunk);
+      }
+    }
+
+    this.length += chunk.length;
+    return this;
+  },
+  /**
+   * Returns the current best guess of the encoding.
+   *
+   * @return {string|boolean} The encoding name, or FALSE.
+   */
+  detect: function() {
+    return this._result(!this.ended);
+  },
+  /**
+   * Scan the last chunk if specified, and returns the final result.
+   *
+   * @param {(Array.<number>|TypedArray|string)=} [chunk] The last chunk.
+   * @return {string|boolean} The encoding name, or FALSE.
+   */
+  end: function(chunk) {
+    if (chunk != null) {
+      this.push(chunk);
+    }
+
+    this.ended = true;
+    return this._result(false);
+  },
+  _result: function(partial) {
+    if (this.length === 0) {
       return false;
     }
 
-    if ((c >= 0x00 && c <= 0x07) || c === 0xFF) {
-      return true;
+    var item;
+    for (var i = 0, len = this.scanners.length; i < len; i++) {
+      item = this.scanners[i];
+      if (item.scanner.end(this.states[item.state], partial)) {
+        return this.encodings[i];
+      }
     }
-  }
 
-  return false;
-}
+    return false;
+  }
+};
 
 /**
- * ASCII (ISO-646)
+ * The decoder that decodes the data given as chunks to UNICODE array.
  *
+ * @see Encoding.createDecoder
  * @private
  * @ignore
  */
-function isASCII(data) {
-  var i = 0;
-  var len = data && data.length;
-  var b;
-
-  for (; i < len; i++) {
-    b = data[i];
-    if (b > 0xFF ||
-        (b >= 0x80 && b <= 0xFF) ||
-        b === 0x1B) {
-      return false;
-    }
+function EncodingDecoder(from, options) {
+  var encoding = assignEncodingName(from);
+  if (encoding !== 'UNICODE' &&
+      !hasOwnProperty.call(EncodingConvert, encoding + 'ToUNICODE')) {
+    throw new Error('Cannot decode the encoding: ' + from);
   }
 
-  return true;
+  initStream(this, encoding, options, {stripBOM: false});
+  this.input = encoding;
+  this.output = 'UNICODE';
+  this.maxBytes = options && options.maxBytes > 0 ?
+    options.maxBytes : DETECT_STREAM_BYTES;
 }
 
+EncodingDecoder.prototype = {
+  /**
+   * Decode the chunk, and returns the decoded UNICODE array.
+   *
+   * @param {Array.<number>|TypedArray|ArrayBuffer|DataView|string} chunk
+   *   The chunk of data.
+   * @return {Array.<number>|TypedArray|string} The decoded data.
+   */
+  write: function(chunk) {
+    return writeStream(this, chunk, false);
+  },
+  /**
+   * Decode the last chunk if specified, and flush the rest of data.
+   *
+   * The incomplete sequence at the end of data is handled
+   *  by the errors option (e.g. replaced with U+FFFD).
+   *
+   * @param {(Array.<number>|TypedArray|string)=} [chunk] The last chunk.
+   * @return {Array.<number>|TypedArray|string} The decoded data.
+   */
+  end: function(chunk) {
+    return writeStream(this, chunk, true);
+  },
+  _convert: function(data, options) {
+    if (this.offset === 0) {
+      this.encoding = getDecoderByteOrder(this.encoding, data);
+      this.input = this.encoding;
+    }
+
+    if (this.encoding === 'UNICODE') {
+      return data;
+    }
+
+    return EncodingConvert[this.encoding + 'ToUNICODE'](data, options);
+  }
+};
+
 /**
- * UTF-8
+ * The encoder that encodes UNICODE array given as chunks.
  *
+ * @see Encoding.createEncoder
  * @private
  * @ignore
  */
-function isUTF8(data) {
-  var i = 0;
-  var len = data && data.length;
-  var b;
+function EncodingEncoder(to, options) {
+  var encoding = assignEncodingName(to);
+  if (encoding !== 'UNICODE' &&
+      !hasOwnProperty.call(EncodingConvert, 'UNICODETo' + encoding)) {
+    throw new Error('Cannot encode the encoding: ' + to);
+  }
 
-  for (; i < len; i++) {
-    b = data[i];
-    if (b > 0xFF) {
-      return false;
-    }
+  getLoneSurrogateMode(options);
+  initStream(this, encoding, options, {bom: false});
+  this.input = 'UNICODE';
+  this.output = encoding;
+}
 
-    if (b === 0x09 || b === 0x0A || b === 0x0D ||
-        (b >= 0x20 && b <= 0x7E)) {
-      continue;
+EncodingEncoder.prototype = {
+  /**
+   * Encode the chunk, and returns the encoded data.
+   *
+   * @param {Array.<number>|TypedArray|string} chunk The UNICODE array.
+   * @return {Array.<number>|TypedArray|string} The encoded data.
+   */
+  write: function(chunk) {
+    return writeStream(this, chunk, false);
+  },
+  /**
+   * Encode the last chunk if specified, and flush the rest of data.
+   *
+   * The high surrogate at the end of data is handled
+   *  by the loneSurrogates option.
+   *
+   * @param {(Array.<number>|TypedArray|string)=} [chunk] The last chunk.
+   * @return {Array.<number>|TypedArray|string} The encoded data.
+   */
+  end: function(chunk) {
+    return writeStream(this, chunk, true);
+  },
+  _convert: function(data, options) {
+    var encoding = this.encoding;
+    if (this.offset === 0) {
+      // The following chunks are encoded without BOM in the same byte order.
+      this.encoding = getEncoderByteOrder(encoding, options);
     }
 
-    if (b >= 0xC2 && b <= 0xDF) {
-      if (i + 1 >= len || data[i + 1] < 0x80 || data[i + 1] > 0xBF) {
-        return false;
-      }
-      i++;
-    } else if (b === 0xE0) {
-      if (i + 2 >= len ||
-          data[i + 1] < 0xA0 || data[i + 1] > 0xBF ||
-          data[i + 2] < 0x80 || data[i + 2] > 0xBF) {
-        return false;
-      }
-      i += 2;
-    } else if ((b >= 0xE1 && b <= 0xEC) ||
-                b === 0xEE || b === 0xEF) {
-      if (i + 2 >= len ||
-          data[i + 1] < 0x80 || data[i + 1] > 0xBF ||
-          data[i + 2] < 0x80 || data[i + 2] > 0xBF) {
-        return false;
-      }
-      i += 2;
-    } else if (b === 0xED) {
-      if (i + 2 >= len ||
-          data[i + 1] < 0x80 || data[i + 1] > 0x9F ||
-          data[i + 2] < 0x80 || data[i + 2] > 0xBF) {
-        return false;
-      }
-      i += 2;
-    } else if (b === 0xF0) {
-      if (i + 3 >= len ||
-          data[i + 1] < 0x90 || data[i + 1] > 0xBF ||
-          data[i + 2] < 0x80 || data[i + 2] > 0xBF ||
-          data[i + 3] < 0x80 || data[i + 3] > 0xBF) {
-        return false;
-      }
-      i += 3;
-    } else if (b >= 0xF1 && b <= 0xF3) {
-      if (i + 3 >= len ||
-          data[i + 1] < 0x80 || data[i + 1] > 0xBF ||
-          data[i + 2] < 0x80 || data[i + 2] > 0xBF ||
-          data[i + 3] < 0x80 || data[i + 3] > 0xBF) {
-        return false;
-      }
-      i += 3;
-    } else if (b === 0xF4) {
-      if (i + 3 >= len ||
-          data[i + 1] < 0x80 || data[i + 1] > 0x8F ||
-          data[i + 2] < 0x80 || data[i + 2] > 0xBF ||
-          data[i + 3] < 0x80 || data[i + 3] > 0xBF) {
-        return false;
-      }
-      i += 3;
-    } else {
-      return false;
+    if (encoding === 'UNICODE') {
+      return data;
     }
-  }
 
-  return true;
-}
+    return EncodingConvert['UNICODETo' + encoding](data, options);
+  }
+};
 
 /**
- * UTF-16 (LE or BE)
+ * The number of bytes that are buffered to detect the encoding
+ *  of the stream by default.
  *
- * RFC2781: UTF-16, an encoding of ISO 10646
+ * @private
+ * @ignore
+ */
+var DETECT_STREAM_BYTES = 4096;
+
+/**
+ * The converter of the streams that detects the encoding from
+ *  the buffered chunks, and converts the chunks through UNICODE array.
  *
- * @link http://www.ietf.org/rfc/rfc2781.txt
+ * @see Encoding.createConvertStream
+ * @see Encoding.createTransformStream
  * @private
  * @ignore
  */
-function isUTF16(data) {
-  var i = 0;
-  var len = data && data.length;
-  var pos = null;
-  var b1, b2, next, prev;
+function EncodingConverter(options) {
+  options = options || {};
 
-  if (len < 2) {
-    if (data[0] > 0xFF) {
-      return false;
-    }
-  } else {
-    b1 = data[0];
-    b2 = data[1];
-    if (b1 === 0xFF && // BOM (little-endian)
-        b2 === 0xFE) {
-      return true;
-    }
-    if (b1 === 0xFE && // BOM (big-endian)
-        b2 === 0xFF) {
-      return true;
+  // Throws an error if the option is unknown.
+  getErrorMode(options);
+  getLoneSurrogateMode(options);
+
+  this.options = options;
+  this.to = findEncodingName(options.to);
+  if (this.to === null && !options.passthrough) {
+    throw createUnknownEncodingError(options.to);
+  }
+
+  this.from = null;
+  this.newline = getNewline(options);
+  this.maxBytes = options.maxBytes > 0 ? options.maxBytes : DETECT_STREAM_BYTES;
+  this.chunks = [];
+  this.length = 0;
+  this.pending = [];
+  this.decoder = null;
+  this.encoder = null;
+  this.ended = false;
+
+  if (!isAutoDetect(options.from)) {
+    this._start(findEncodingName(options.from));
+  }
+}
+
+EncodingConverter.prototype = {
+  write: function(chunk) {
+    return this._write(chunk, false);
+  },
+  end: function(chunk) {
+    return this._write(chunk, true);
+  },
+  _write: function(chunk, flush) {
+    if (this.ended) {
+      throw new Error('Stream has already ended');
     }
+    this.ended = flush;
 
-    for (; i < len; i++) {
-      if (data[i] === 0x00) {
-        pos = i;
-        break;
-      } else if (data[i] > 0xFF) {
-        return false;
+    var data = chunk == null ? [] : toArrayData(chunk);
+
+    if (this.from === null) {
+      // Buffer the chunks until the encoding is detected.
+      this.chunks[this.chunks.length] = data;
+      this.length += data.length;
+      if (!flush && this.length <= this.maxBytes) {
+        return [];
       }
-    }
 
-    if (pos === null) {
-      return false; // Non ASCII
+      data = concatChunks(this.chunks);
+      this.chunks = [];
+      this._start(this._detect(data));
     }
 
-    next = data[pos + 1]; // BE
-    if (next !== void 0 && next > 0x00 && next < 0x80) {
-      return true;
+    if (this.decoder === null) {
+      // Returns the raw data (the same encoding, or the passthrough option).
+      return data;
     }
 
-    prev = data[pos - 1]; // LE
-    if (prev !== void 0 && prev > 0x00 && prev < 0x80) {
-      return true;
-    }
-  }
+    var unicode = flush ? this.decoder.end(data) : this.decoder.write(data);
 
-  return false;
-}
+    if (this.newline !== null) {
+      // CR may be followed by LF in the next chunk.
+      unicode = concatChunk(this.pending, unicode);
+      this.pending = [];
+      if (!flush && unicode[unicode.length - 1] === 0x0D) {
+        this.pending = [0x0D];
+        unicode = slice.call(unicode, 0, unicode.length - 1);
+      }
+      unicode = normalizeNewline(unicode, this.newline);
+    }
 
-/**
- * UTF-16BE (big-endian)
- *
- * RFC 2781 4.3 Interpreting text labelled as UTF-16
- * Text labelled "UTF-16BE" can always be interpreted as being big-endian
- *  when BOM does not founds (SHOULD)
- *
- * @link http://www.ietf.org/rfc/rfc2781.txt
- * @private
- * @ignore
- */
-function isUTF16BE(data) {
-  var i = 0;
-  var len = data && data.length;
-  var pos = null;
-  var b1, b2;
+    return flush ? this.encoder.end(unicode) : this.encoder.write(unicode);
+  },
+  _detect: function(data) {
+    var options = this.options;
+    var partial = data.length > this.maxBytes;
 
-  if (len < 2) {
-    if (data[0] > 0xFF) {
-      return false;
+    if (data.length === 0) {
+      // Nothing to be detected and converted.
+      return this.to;
     }
-  } else {
-    b1 = data[0];
-    b2 = data[1];
-    if (b1 === 0xFE && // BOM
-        b2 === 0xFF) {
-      return true;
+
+    var encoding = Encoding.detect(data, {
+      encodings: options.from,
+      maxBytes: this.maxBytes,
+      allowControlChars: options.allowControlChars,
+      preferBOM: options.preferBOM
+    });
+
+    // The rest of data may not be ASCII, and UTF-8 is a superset of ASCII.
+    if (encoding === 'ASCII' && partial &&
+        isDetectableEncoding(options.from, 'UTF8')) {
+      encoding = 'UTF8';
     }
 
-    for (; i < len; i++) {
-      if (data[i] === 0x00) {
-        pos = i;
-        break;
-      } else if (data[i] > 0xFF) {
-        return false;
+    return encoding;
+  },
+  _start: function(from) {
+    var options = this.options;
+    var to = this.to;
+    // false if the encoding is not detected or unknown.
+    this.from = from || false;
+
+    // The chunks of UNICODE array between the decoder and the encoder.
+    var values = {type: 'array'};
+    if (isBOMConversion(from, to, options)) {
+      if (options.stripBOM == null) {
+        values.stripBOM = true;
       }
+    } else if (from === to && to !== null && this.newline === null) {
+      return;
     }
 
-    if (pos === null) {
-      return false; // Non ASCII
+    if (canConvertUnicode(from, to)) {
+      this.decoder = new EncodingDecoder(from, assignOptions(options, values));
+      this.encoder = new EncodingEncoder(to, assignOptions(options, values));
+    } else if (options.passthrough) {
+      return;
+    } else if (to === null || from === null) {
+      throw createUnknownEncodingError(to === null ? options.to : options.from);
+    } else if (!from) {
+      throw new Error('Cannot detect the encoding to convert to ' + to);
+    } else {
+      throw new Error('Cannot convert ' + from + ' to ' + to);
     }
+  }
+};
 
-    if (pos % 2 === 0) {
-      return true;
-    }
+/**
+ * Returns the output type of the streams ('string' or null).
+ *
+ * @private
+ * @ignore
+ */
+function getStreamOutputType(converter) {
+  var type = converter.options.type;
+  if (type == null && converter.to === 'UNICODE') {
+    return 'string';
   }
 
-  return false;
+  return type != null && ('' + type).toLowerCase() === 'string' ?
+    'string' : null;
 }
 
 /**
- * UTF-16LE (little-endian)
+ * Push the converted chunk to the Node.js Transform stream.
  *
- * @see isUTF16BE
  * @private
  * @ignore
  */
-function isUTF16LE(data) {
-  var i = 0;
-  var len = data && data.length;
-  var pos = null;
-  var b1, b2;
+function pushStreamChunk(stream, result, isText) {
+  if (result.length === 0) {
+    return;
+  }
 
-  if (len < 2) {
-    if (data[0] > 0xFF) {
-      return false;
-    }
+  if (isText) {
+    stream.push(codeToString_fast(result));
   } else {
-    b1 = data[0];
-    b2 = data[1];
-    if (b1 === 0xFF && // BOM
-        b2 === 0xFE) {
-      return true;
-    }
-
-    for (; i < len; i++) {
-      if (data[i] === 0x00) {
-        pos = i;
-        break;
-      } else if (data[i] > 0xFF) {
-        return false;
-      }
-    }
-
-    if (pos === null) {
-      return false; // Non ASCII
-    }
-
-    if (pos % 2 !== 0) {
-      return true;
-    }
+    stream.push(Buffer.from(result));
   }
-
-  return false;
 }
 
 /**
- * UTF-32
- *
- * Unicode 3.2.0: Unicode Standard Annex #19
+ * Enqueue the converted chunk to the WHATWG TransformStream.
  *
- * @link http://www.iana.org/assignments/charset-reg/UTF-32
- * @link http://www.unicode.org/reports/tr19/tr19-9.html
  * @private
  * @ignore
  */
-function isUTF32(data) {
-  var i = 0;
-  var len = data && data.length;
-  var pos = null;
-  var b1, b2, b3, b4;
-  var next, prev;
+function enqueueStreamChunk(controller, result, isText) {
+  if (result.length === 0) {
+    return;
+  }
 
-  if (len < 4) {
-    for (; i < len; i++) {
-      if (data[i] > 0xFF) {
-        return false;
-      }
-    }
+  if (isText) {
+    controller.enqueue(codeToString_fast(result));
   } else {
-    b1 = data[0];
-    b2 = data[1];
-    b3 = data[2];
-    b4 = data[3];
-    if (b1 === 0x00 && b2 === 0x00 && // BOM (big-endian)
-        b3 === 0xFE && b4 === 0xFF) {
-      return true;
-    }
-
-    if (b1 === 0xFF && b2 === 0xFE && // BOM (little-endian)
-        b3 === 0x00 && b4 === 0x00) {
-      return true;
-    }
+    controller.enqueue(new Uint8Array(result));
+  }
+}
 
-    for (; i < len; i++) {
-      if (data[i] === 0x00 && data[i + 1] === 0x00 && data[i + 2] === 0x00) {
-        pos = i;
-        break;
-      } else if (data[i] > 0xFF) {
-        return false;
-      }
-    }
+/**
+ * Returns the stream module of Node.js, or null.
+ *
+ * @private
+ * @ignore
+ */
+function getNodeStream() {
+  if (typeof module !== 'undefined' && module.exports &&
+      typeof require === 'function') {
+    try {
+      return require('stream');
+    } catch (e) {}
+  }
 
-    if (pos === null) {
-      return false;
-    }
+  return null;
+}
 
-    // The byte order should be the big-endian when BOM is not detected.
-    next = data[pos + 3];
-    if (next !== void 0 && next > 0x00 && next <= 0x7F) {
-      // big-endian
-      return data[pos + 2] === 0x00 && data[pos + 1] === 0x00;
-    }
+/**
+ * Returns the array of the chunks.
+ *
+ * @private
+ * @ignore
+ */
+function concatChunks(chunks) {
+  var results = [];
+  var chunk, i, j, len;
 
-    prev = data[pos - 1];
-    if (prev !== void 0 && prev > 0x00 && prev <= 0x7F) {
-      // little-endian
-      return data[pos + 1] === 0x00 && data[pos + 2] === 0x00;
+  for (i = 0; i < chunks.length; i++) {
+    chunk = chunks[i];
+    for (j = 0, len = chunk.length; j < len; j++) {
+      results[results.length] = chunk[j];
     }
   }
 
-  return false;
+  return results;
 }
 
 /**
- * JavaScript Unicode array
+ * Initialize the state of the decoder or the encoder.
+ *
+ * The options of the first chunk are used as is, and the options
+ *  of the following chunks are overridden by the values (e.g. BOM).
  *
  * @private
  * @ignore
  */
-function isUNICODE(data) {
-  var i = 0;
-  var len = data && data.length;
-  var c;
-
-  for (; i < len; i++) {
-    c = data[i];
-    if (c < 0 || c > 0x10FFFF) {
-      return false;
-    }
+function initStream(stream, encoding, options, values) {
+  options = options || {};
+  getErrorMode(options);
+
+  // The index of fallback is the index in the whole data.
+  var fallback = options.fallback;
+  if (typeof fallback === 'function') {
+    options = assignOptions(options, {
+      fallback: function(c, index) {
+        return fallback(c, stream.offset + index);
+      }
+    });
   }
 
-  return true;
+  stream.encoding = encoding;
+  stream.options = options;
+  stream.nextOptions = assignOptions(options, values);
+  stream.pending = [];
+  stream.offset = 0;
+  stream.ended = false;
 }
 
 /**
- * UTF-16 (JavaScript Unicode array) to UTF-8
+ * Convert the chunk with the pending data of the decoder or the encoder,
+ *  and keep the incomplete sequence at the end as the pending data.
  *
  * @private
  * @ignore
  */
-function UNICODEToUTF8(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var c, second;
+function writeStream(stream, chunk, flush) {
+  if (stream.ended) {
+    throw new Error((stream instanceof EncodingDecoder ?
+      'Decoder' : 'Encoder') + ' has already ended');
+  }
 
-  for (; i < len; i++) {
-    c = data[i];
+  var data = concatChunk(stream.pending, chunk);
+  var len = data.length;
+  if (!flush) {
+    if (isByteOrderPending(stream, data)) {
+      len = 0;
+    } else {
+      len -= getIncompleteLength(stream.input, data);
+    }
+  }
 
-    // high surrogate
-    if (c >= 0xD800 && c <= 0xDBFF && i + 1 < len) {
-      second = data[i + 1];
-      // low surrogate
-      if (second >= 0xDC00 && second <= 0xDFFF) {
-        c = (c - 0xD800) * 0x400 + second - 0xDC00 + 0x10000;
-        i++;
+  stream.pending = slice.call(data, len);
+  stream.ended = flush;
+
+  var result = [];
+  // The empty data is also converted at the end (e.g. BOM only),
+  //  as well as convert.
+  if (len > 0 || (flush && stream.offset === 0)) {
+    data = sliceData(data, 0, len);
+    try {
+      result = stream._convert(data,
+        stream.offset === 0 ? stream.options : stream.nextOptions);
+    } catch (e) {
+      // The offset of error is the offset in the whole data.
+      if (e instanceof EncodingError && stream.offset > 0) {
+        throw new EncodingError(e.encoding,
+          createScanError(e.offset + stream.offset, e.reason, e.value));
       }
+      throw e;
     }
+    stream.offset += len;
+  }
+
+  return formatResult(result, stream.options.type, stream.output);
+}
+
+/**
+ * Returns whether the decoder buffers the first chunks to guess
+ *  the byte order of UTF-16 or UTF-32 without BOM.
+ *
+ * The byte order is decided when BOM is found, or the data reaches
+ *  the maxBytes option (default: 4096 bytes), as well as the encoding
+ *  detection of the streams.
+ *
+ * @private
+ * @ignore
+ */
+function isByteOrderPending(stream, data) {
+  var encoding = stream.input;
+  if (stream.offset > 0 || (encoding !== 'UTF16' && encoding !== 'UTF32')) {
+    return false;
+  }
 
-    if (c < 0x80) {
-      results[results.length] = c;
-    } else if (c < 0x800) {
-      results[results.length] = 0xC0 | ((c >> 6) & 0x1F);
-      results[results.length] = 0x80 | (c & 0x3F);
-    } else if (c < 0x10000) {
-      results[results.length] = 0xE0 | ((c >> 12) & 0xF);
-      results[results.length] = 0x80 | ((c >> 6) & 0x3F);
-      results[results.length] = 0x80 | (c & 0x3F);
-    } else if (c < 0x200000) {
-      results[results.length] = 0xF0 | ((c >> 18) & 0xF);
-      results[results.length] = 0x80 | ((c >> 12) & 0x3F);
-      results[results.length] = 0x80 | ((c >> 6) & 0x3F);
-      results[results.length] = 0x80 | (c & 0x3F);
-    }
+  if (encoding === 'UTF16' ? getUTF16BOMLength(data) :
+      getUTF32BOMLength(data)) {
+    return false;
   }
 
-  return results;
+  return data.length < stream.maxBytes;
 }
 
 /**
- * UTF-8 to UTF-16 (JavaScript Unicode array)
+ * Returns the chunk that the pending data is prepended to.
  *
  * @private
  * @ignore
  */
-function UTF8ToUNICODE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var n, c, c2, c3, c4, code;
+function concatChunk(pending, chunk) {
+  chunk = toArrayData(chunk);
+  if (chunk == null) {
+    chunk = [];
+  }
 
-  while (i < len) {
-    c = data[i++];
-    n = c >> 4;
-    if (n >= 0 && n <= 7) {
-      // 0xxx xxxx
-      code = c;
-    } else if (n === 12 || n === 13) {
-      // 110x xxxx
-      // 10xx xxxx
-      c2 = data[i++];
-      code = ((c & 0x1F) << 6) | (c2 & 0x3F);
-    } else if (n === 14) {
-      // 1110 xxxx
-      // 10xx xxxx
-      // 10xx xxxx
-      c2 = data[i++];
-      c3 = data[i++];
-      code = ((c & 0x0F) << 12) |
-             ((c2 & 0x3F) << 6) |
-              (c3 & 0x3F);
-    } else if (n === 15) {
-      // 1111 0xxx
-      // 10xx xxxx
-      // 10xx xxxx
-      // 10xx xxxx
-      c2 = data[i++];
-      c3 = data[i++];
-      c4 = data[i++];
-      code = ((c & 0x7) << 18)   |
-             ((c2 & 0x3F) << 12) |
-             ((c3 & 0x3F) << 6)  |
-              (c4 & 0x3F);
-    }
+  if (pending.length === 0) {
+    return chunk;
+  }
 
-    if (code <= 0xFFFF) {
-      results[results.length] = code;
-    } else {
-      // Split in surrogate halves
-      code -= 0x10000;
-      results[results.length] = (code >> 10) + 0xD800; // High surrogate
-      results[results.length] = (code % 0x400) + 0xDC00; // Low surrogate
-    }
+  var results = pending.slice();
+  for (var i = 0, len = chunk.length; i < len; i++) {
+    results[results.length] = chunk[i];
   }
 
   return results;
 }
 
 /**
- * UTF-16 (JavaScript Unicode array) to UTF-16
- *
- * UTF-16BE (big-endian)
- * Note: this function does not prepend the BOM by default.
+ * Returns the length of the incomplete sequence at the end of data
+ *  that should be carried over to the next chunk.
  *
- * RFC 2781 4.3 Interpreting text labelled as UTF-16
- *   If the first two octets of the text is not 0xFE followed by
- *   0xFF, and is not 0xFF followed by 0xFE, then the text SHOULD be
- *   interpreted as being big-endian.
+ * @private
+ * @ignore
+ */
+function getIncompleteLength(encoding, data) {
+  var len = data.length;
+  var c;
+
+  switch (encoding) {
+    case 'UTF8':
+    case 'CESU8':
+    case 'MUTF8':
+      return getUTF8IncompleteLength(data, encoding);
+    case 'UTF16':
+      return getIncompleteLength(getDecoderByteOrder(encoding, data), data);
+    case 'UTF16BE':
+    case 'UTF16LE':
+      // The high surrogate that may be followed by the low surrogate
+      c = len - len % 2 - 2;
+      if (c >= 0) {
+        c = readUTF16Unit(data, c, encoding === 'UTF16LE');
+      }
+      return len % 2 + (c >= 0xD800 && c <= 0xDBFF ? 2 : 0);
+    case 'UTF32':
+    case 'UTF32BE':
+    case 'UTF32LE':
+      return len % 4;
+    case 'UNICODE':
+      // The high surrogate that may be followed by the low surrogate
+      c = data[len - 1];
+      return c >= 0xD800 && c <= 0xDBFF ? 1 : 0;
+  }
+
+  return 0;
+}
+
+/**
+ * Returns the length of the incomplete multi-byte sequence at the end
+ *  of UTF-8, CESU-8 or Modified UTF-8 data.
  *
- * @link https://www.ietf.org/rfc/rfc2781.txt
- * UTF-16, an encoding of ISO 10646
+ * The high surrogate of CESU-8 and Modified UTF-8 is also incomplete
+ *  because it may be followed by the low surrogate.
  *
  * @private
  * @ignore
  */
-function UNICODEToUTF16(data, options) {
-  var results;
+function getUTF8IncompleteLength(data, encoding) {
+  var length = getUTF8TailLength(data, encoding);
+  var i = data.length - length - 3;
+
+  if (encoding !== 'UTF8' && i >= 0 && data[i] === 0xED &&
+      data[i + 1] >= 0xA0 && data[i + 1] <= 0xAF &&
+      data[i + 2] >= 0x80 && data[i + 2] <= 0xBF) {
+    length += 3;
+  }
 
-  if (options && options.bom) {
-    var optBom = options.bom;
-    if (!isString(optBom)) {
-      optBom = 'BE';
-    }
+  return length;
+}
 
-    var bom, utf16;
-    if (optBom.charAt(0).toUpperCase() === 'B') {
-      // Big-endian
-      bom = [0xFE, 0xFF];
-      utf16 = UNICODEToUTF16BE(data);
-    } else {
-      // Little-endian
-      bom = [0xFF, 0xFE];
-      utf16 = UNICODEToUTF16LE(data);
+/**
+ * Returns the length of the last multi-byte sequence if it is truncated.
+ *
+ * @private
+ * @ignore
+ */
+function getUTF8TailLength(data, encoding) {
+  var len = data.length;
+  var min = Math.max(len - 3, 0);
+  var i = len - 1;
+  var b, need;
+
+  // Find the lead byte of the last sequence
+  for (; i >= min; i--) {
+    b = data[i];
+    if (b < 0x80 || b > 0xBF) {
+      break;
     }
+  }
 
-    results = [];
-    results[0] = bom[0];
-    results[1] = bom[1];
+  if (i < min) {
+    return 0;
+  }
 
-    for (var i = 0, len = utf16.length; i < len; i++) {
-      results[results.length] = utf16[i];
-    }
+  if ((b >= 0xC2 && b <= 0xDF) || (b === 0xC0 && encoding === 'MUTF8')) {
+    need = 2;
+  } else if (b >= 0xE0 && b <= 0xEF) {
+    need = 3;
+  } else if (b >= 0xF0 && b <= 0xF4 && encoding === 'UTF8') {
+    need = 4;
   } else {
-    // Without BOM: Convert as BE (SHOULD).
-    results = UNICODEToUTF16BE(data);
+    return 0;
   }
 
-  return results;
+  return len - i < need ? len - i : 0;
 }
 
 /**
- * UTF-16 (JavaScript Unicode array) to UTF-16BE
- *
- * @link https://www.ietf.org/rfc/rfc2781.txt
- * UTF-16, an encoding of ISO 10646
+ * Returns the encoding of the byte order that is decided by
+ *  the first chunk of UTF-16 or UTF-32 data.
  *
  * @private
  * @ignore
  */
-function UNICODEToUTF16BE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var c;
+function getDecoderByteOrder(encoding, data) {
+  var isLE;
 
-  while (i < len) {
-    c = data[i++];
-    if (c <= 0xFF) {
-      results[results.length] = 0;
-      results[results.length] = c;
-    } else if (c <= 0xFFFF) {
-      results[results.length] = c >> 8 & 0xFF;
-      results[results.length] = c & 0xFF;
+  if (encoding === 'UTF16') {
+    if (getUTF16BOMLength(data)) {
+      isLE = data[0] === 0xFF;
+    } else {
+      isLE = getUTF16ByteOrder(data) === 'LE';
+    }
+  } else if (encoding === 'UTF32') {
+    if (getUTF32BOMLength(data)) {
+      isLE = data[0] === 0xFF;
+    } else {
+      isLE = data.length >= 4 && getUTF32ByteOrder(data) === 'LE';
     }
+  } else {
+    return encoding;
   }
 
-  return results;
+  return encoding + (isLE ? 'LE' : 'BE');
 }
 
 /**
- * UTF-16 (JavaScript Unicode array) to UTF-16LE
- *
- * @link https://www.ietf.org/rfc/rfc2781.txt
- * UTF-16, an encoding of ISO 10646
+ * Returns the encoding of the byte order that is decided by
+ *  the bom option of UTF-16 or UTF-32.
  *
  * @private
  * @ignore
  */
-function UNICODEToUTF16LE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var c;
+function getEncoderByteOrder(encoding, options) {
+  var bom = options.bom;
 
-  while (i < len) {
-    c = data[i++];
-    if (c <= 0xFF) {
-      results[results.length] = c;
-      results[results.length] = 0;
-    } else if (c <= 0xFFFF) {
-      results[results.length] = c & 0xFF;
-      results[results.length] = c >> 8 & 0xFF;
-    }
+  if (encoding !== 'UTF16' && encoding !== 'UTF32') {
+    return encoding;
   }
 
-  return results;
+  // Converted as BE by default (see UNICODEToUTF16).
+  if (bom && isString(bom) && bom.charAt(0).toUpperCase() !== 'B') {
+    return encoding + 'LE';
+  }
+
+  return encoding + 'BE';
 }
 
 /**
- * UTF-16BE to UTF-16 (JavaScript Unicode array)
- *
- * @link https://www.ietf.org/rfc/rfc2781.txt
- * UTF-16, an encoding of ISO 10646
+ * Returns the copy of options that is overridden by the values.
  *
  * @private
  * @ignore
  */
-function UTF16BEToUNICODE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var c1, c2;
+function assignOptions(options, values) {
+  var results = {};
+  var key;
 
-  if (len >= 2 &&
-      ((data[0] === 0xFE && data[1] === 0xFF) ||
-       (data[0] === 0xFF && data[1] === 0xFE))
-  ) {
-    i = 2;
+  for (key in options) {
+    if (hasOwnProperty.call(options, key)) {
+      results[key] = options[key];
+    }
   }
 
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
-    if (c1 === 0) {
-      results[results.length] = c2;
-    } else {
-      results[results.length] = ((c1 & 0xFF) << 8) | (c2 & 0xFF);
+  for (key in values) {
+    if (hasOwnProperty.call(values, key)) {
+      results[key] = values[key];
     }
   }
 
@@ -1103,434 +6440,682 @@ function UTF16BEToUNICODE(data) {
 }
 
 /**
- * UTF-16LE to UTF-16 (JavaScript Unicode array)
+ * The encodings and the labels of WHATWG Encoding Standard,
+ *  and the encoding names of this library.
  *
- * @link https://www.ietf.org/rfc/rfc2781.txt
- * UTF-16, an encoding of ISO 10646
+ * The legacy single-byte encodings require the modules (e.g. encodings/windows).
+ * The encodings with c1 decode the undefined bytes 0x80-0x9F to
+ *  the C1 controls (e.g. 0x81 to U+0081 in windows-1252).
  *
+ * @link https://encoding.spec.whatwg.org/#names-and-labels
  * @private
  * @ignore
  */
-function UTF16LEToUNICODE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var c1, c2;
-
-  if (len >= 2 &&
-      ((data[0] === 0xFE && data[1] === 0xFF) ||
-       (data[0] === 0xFF && data[1] === 0xFE))
-  ) {
-    i = 2;
+var WHATWGEncodings = {
+  'utf-8': {
+    encoding: 'UTF8',
+    labels: ['unicode-1-1-utf-8', 'unicode11utf8', 'unicode20utf8',
+      'utf-8', 'utf8', 'x-unicode20utf8']
+  },
+  ibm866: {
+    encoding: 'CP866',
+    labels: ['866', 'cp866', 'csibm866', 'ibm866']
+  },
+  'iso-8859-2': {
+    encoding: 'ISO88592',
+    labels: ['csisolatin2', 'iso-8859-2', 'iso-ir-101', 'iso8859-2',
+      'iso88592', 'iso_8859-2', 'iso_8859-2:1987', 'l2', 'latin2']
+  },
+  'iso-8859-3': {
+    encoding: 'ISO88593',
+    labels: ['csisolatin3', 'iso-8859-3', 'iso-ir-109', 'iso8859-3',
+      'iso88593', 'iso_8859-3', 'iso_8859-3:1988', 'l3', 'latin3']
+  },
+  'iso-8859-4': {
+    encoding: 'ISO88594',
+    labels: ['csisolatin4', 'iso-8859-4', 'iso-ir-110', 'iso8859-4',
+      'iso88594', 'iso_8859-4', 'iso_8859-4:1988', 'l4', 'latin4']
+  },
+  'iso-8859-5': {
+    encoding: 'ISO88595',
+    labels: ['csisolatincyrillic', 'cyrillic', 'iso-8859-5', 'iso-ir-144',
+      'iso8859-5', 'iso88595', 'iso_8859-5', 'iso_8859-5:1988']
+  },
+  'iso-8859-6': {
+    encoding: 'ISO88596',
+    labels: ['arabic', 'asmo-708', 'csiso88596e', 'csiso88596i',
+      'csisolatinarabic', 'ecma-114', 'iso-8859-6', 'iso-8859-6-e',
+      'iso-8859-6-i', 'iso-ir-127', 'iso8859-6', 'iso88596', 'iso_8859-6',
+      'iso_8859-6:1987']
+  },
+  'iso-8859-7': {
+    encoding: 'ISO88597',
+    labels: ['csisolatingreek', 'ecma-118', 'elot_928', 'greek', 'greek8',
+      'iso-8859-7', 'iso-ir-126', 'iso8859-7', 'iso88597', 'iso_8859-7',
+      'iso_8859-7:1987', 'sun_eu_greek']
+  },
+  'iso-8859-8': {
+    encoding: 'ISO88598',
+    labels: ['csiso88598e', 'csisolatinhebrew', 'hebrew', 'iso-8859-8',
+      'iso-8859-8-e', 'iso-ir-138', 'iso8859-8', 'iso88598', 'iso_8859-8',
+      'iso_8859-8:1988', 'visual']
+  },
+  'iso-8859-8-i': {
+    encoding: 'ISO88598',
+    labels: ['csiso88598i', 'iso-8859-8-i', 'logical']
+  },
+  'iso-8859-10': {
+    encoding: 'ISO885910',
+    labels: ['csisolatin6', 'iso-8859-10', 'iso-ir-157', 'iso8859-10',
+      'iso885910', 'l6', 'latin6']
+  },
+  'iso-8859-13': {
+    encoding: 'ISO885913',
+    labels: ['iso-8859-13', 'iso8859-13', 'iso885913']
+  },
+  'iso-8859-14': {
+    encoding: 'ISO885914',
+    labels: ['iso-8859-14', 'iso8859-14', 'iso885914']
+  },
+  'iso-8859-15': {
+    encoding: 'ISO885915',
+    labels: ['csisolatin9', 'iso-8859-15', 'iso8859-15', 'iso885915',
+      'iso_8859-15', 'l9']
+  },
+  'iso-8859-16': {
+    encoding: 'ISO885916',
+    labels: ['iso-8859-16']
+  },
+  'koi8-r': {
+    encoding: 'KOI8R',
+    labels: ['cskoi8r', 'koi', 'koi8', 'koi8-r', 'koi8_r']
+  },
+  'koi8-u': {
+    encoding: 'KOI8U',
+    labels: ['koi8-ru', 'koi8-u']
+  },
+  macintosh: {
+    encoding: 'MACROMAN',
+    labels: ['csmacintosh', 'mac', 'macintosh', 'x-mac-roman']
+  },
+  'windows-874': {
+    encoding: 'CP874',
+    c1: true,
+    labels: ['dos-874', 'iso-8859-11', 'iso8859-11', 'iso885911',
+      'tis-620', 'windows-874']
+  },
+  'windows-1250': {
+    encoding: 'CP1250',
+    c1: true,
+    labels: ['cp1250', 'windows-1250', 'x-cp1250']
+  },
+  'windows-1251': {
+    encoding: 'CP1251',
+    c1: true,
+    labels: ['cp1251', 'windows-1251', 'x-cp1251']
+  },
+  'windows-1252': {
+    encoding: 'CP1252',
+    c1: true,
+    labels: ['ansi_x3.4-1968', 'ascii', 'cp1252', 'cp819', 'csisolatin1',
+      'ibm819', 'iso-8859-1', 'iso-ir-100', 'iso8859-1', 'iso88591',
+      'iso_8859-1', 'iso_8859-1:1987', 'l1', 'latin1', 'us-ascii',
+      'windows-1252', 'x-cp1252']
+  },
+  'windows-1253': {
+    encoding: 'CP1253',
+    c1: true,
+    labels: ['cp1253', 'windows-1253', 'x-cp1253']
+  },
+  'windows-1254': {
+    encoding: 'CP1254',
+    c1: true,
+    labels: ['cp1254', 'csisolatin5', 'iso-8859-9', 'iso-ir-148',
+      'iso8859-9', 'iso88599', 'iso_8859-9', 'iso_8859-9:1989', 'l5',
+      'latin5', 'windows-1254', 'x-cp1254']
+  },
+  'windows-1255': {
+    encoding: 'CP1255',
+    c1: true,
+    labels: ['cp1255', 'windows-1255', 'x-cp1255']
+  },
+  'windows-1256': {
+    encoding: 'CP1256',
+    c1: true,
+    labels: ['cp1256', 'windows-1256', 'x-cp1256']
+  },
+  'windows-1257': {
+    encoding: 'CP1257',
+    c1: true,
+    labels: ['cp1257', 'windows-1257', 'x-cp1257']
+  },
+  'windows-1258': {
+    encoding: 'CP1258',
+    c1: true,
+    labels: ['cp1258', 'windows-1258', 'x-cp1258']
+  },
+  'x-mac-cyrillic': {
+    encoding: 'MACCYRILLIC',
+    labels: ['x-mac-cyrillic', 'x-mac-ukrainian']
+  },
+  'utf-16be': {
+    encoding: 'UTF16BE',
+    labels: ['unicodefffe', 'utf-16be']
+  },
+  'utf-16le': {
+    encoding: 'UTF16LE',
+    labels: ['csunicode', 'iso-10646-ucs-2', 'ucs-2', 'unicode',
+      'unicodefeff', 'utf-16', 'utf-16le']
   }
+};
 
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
-    if (c2 === 0) {
-      results[results.length] = c1;
-    } else {
-      results[results.length] = ((c2 & 0xFF) << 8) | (c1 & 0xFF);
+/**
+ * The WHATWG encoding names by the labels (initialized by getWHATWGEncoding).
+ *
+ * @private
+ * @ignore
+ */
+var WHATWGLabels = null;
+
+/**
+ * Returns the WHATWG encoding name of the label, or null.
+ *
+ * @link https://encoding.spec.whatwg.org/#concept-encoding-get
+ * @private
+ * @ignore
+ */
+function getWHATWGEncoding(label) {
+  var name, labels, i;
+
+  if (WHATWGLabels === null) {
+    WHATWGLabels = {};
+    for (name in WHATWGEncodings) {
+      if (hasOwnProperty.call(WHATWGEncodings, name)) {
+        labels = WHATWGEncodings[name].labels;
+        for (i = 0; i < labels.length; i++) {
+          WHATWGLabels[labels[i]] = name;
+        }
+      }
     }
   }
 
-  return results;
+  // Remove the leading and trailing ASCII whitespace
+  label = ('' + label).replace(/^[\t\n\f\r ]+|[\t\n\f\r ]+$/g, '').toLowerCase();
+  if (hasOwnProperty.call(WHATWGLabels, label)) {
+    return WHATWGLabels[label];
+  }
+
+  return null;
 }
 
 /**
- * UTF-16 to UTF-16 (JavaScript Unicode array)
+ * The TextDecoder of WHATWG Encoding Standard that is built on
+ *  the decoders of this library.
  *
- * @link https://www.ietf.org/rfc/rfc2781.txt
- * UTF-16, an encoding of ISO 10646
+ * The label is resolved by the WHATWG label table, and RangeError is
+ *  thrown if the encoding is not supported (or the module is not loaded).
  *
- * @private
- * @ignore
+ * @example
+ *   var decoder = new Encoding.TextDecoder('utf-8', { fatal: true });
+ *   decoder.decode(new Uint8Array([0xE3, 0x81]), { stream: true }); // ''
+ *   decoder.decode(new Uint8Array([0x82])); // 'あ'
+ *
+ * @param {string=} [label] The label of encoding (default: 'utf-8').
+ * @param {Object=} [options] The options.
+ *   - fatal {boolean} Throw TypeError for the malformed input.
+ *   - ignoreBOM {boolean} Keep BOM in the result.
+ *
+ * @link https://encoding.spec.whatwg.org/#interface-textdecoder
+ * @public
+ * @class
  */
-function UTF16ToUNICODE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var isLE = false;
-  var first = true;
-  var c1, c2;
+function TextDecoder(label, options) {
+  label = label === undefined ? 'utf-8' : label;
+  options = options || {};
+
+  var name = getWHATWGEncoding(label);
+  if (name === null || !hasOwnProperty.call(EncodingConvert,
+      WHATWGEncodings[name].encoding + 'ToUNICODE')) {
+    throw new RangeError('The encoding label provided (\'' + label +
+      '\') is invalid.');
+  }
 
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
+  this.encoding = name;
+  this.fatal = !!options.fatal;
+  this.ignoreBOM = !!options.ignoreBOM;
+  this._decoder = null;
+  this._bomSeen = false;
+}
 
-    if (first && i === 2) {
-      first = false;
-      if (c1 === 0xFE && c2 === 0xFF) {
-        isLE = false;
-      } else if (c1 === 0xFF && c2 === 0xFE) {
-        // Little-endian
-        isLE = true;
-      } else {
-        isLE = isUTF16LE(data);
-        i = 0;
-      }
-      continue;
+TextDecoder.prototype = {
+  constructor: TextDecoder,
+  /**
+   * Decode the input, and returns the string.
+   *
+   * @param {(ArrayBuffer|ArrayBufferView|Array.<number>)=} [input] The input.
+   * @param {Object=} [options] The options.
+   *   - stream {boolean} The input is followed by the next call.
+   * @return {string} The decoded string.
+   */
+  decode: function(input, options) {
+    var stream = !!(options && options.stream);
+    var data = toByteArray(input);
+    var unicode;
+
+    if (this._decoder === null) {
+      this._decoder = new EncodingDecoder(
+        WHATWGEncodings[this.encoding].encoding, {
+          errors: this.fatal ? 'fatal' : 'replace',
+          stripBOM: false,
+          c1Controls: !!WHATWGEncodings[this.encoding].c1
+        });
+      this._bomSeen = false;
     }
 
-    if (isLE) {
-      if (c2 === 0) {
-        results[results.length] = c1;
-      } else {
-        results[results.length] = ((c2 & 0xFF) << 8) | (c1 & 0xFF);
+    try {
+      unicode = stream ? this._decoder.write(data) : this._decoder.end(data);
+    } catch (e) {
+      this._decoder = null;
+      if (e instanceof EncodingError) {
+        throw new TypeError('The encoded data was not valid for encoding ' +
+          this.encoding + ': ' + e.message);
       }
-    } else {
-      if (c1 === 0) {
-        results[results.length] = c2;
-      } else {
-        results[results.length] = ((c1 & 0xFF) << 8) | (c2 & 0xFF);
+      throw e;
+    }
+
+    if (!stream) {
+      this._decoder = null;
+    }
+
+    if (!this._bomSeen && unicode.length > 0) {
+      this._bomSeen = true;
+      if (!this.ignoreBOM && unicode[0] === 0xFEFF) {
+        unicode = slice.call(unicode, 1);
       }
     }
-  }
 
-  return results;
-}
+    return codeToString_fast(unicode);
+  }
+};
 
 /**
- * UTF-16 to UTF-16BE
+ * The TextEncoder of WHATWG Encoding Standard (UTF-8 only).
  *
- * @private
- * @ignore
+ * @example
+ *   var encoder = new Encoding.TextEncoder();
+ *   encoder.encode('あ'); // Uint8Array [0xE3, 0x81, 0x82]
+ *
+ * @link https://encoding.spec.whatwg.org/#interface-textencoder
+ * @public
+ * @class
  */
-function UTF16ToUTF16BE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var isLE = false;
-  var first = true;
-  var c1, c2;
-
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
+function TextEncoder() {
+  this.encoding = 'utf-8';
+}
 
-    if (first && i === 2) {
-      first = false;
-      if (c1 === 0xFE && c2 === 0xFF) {
-        isLE = false;
-      } else if (c1 === 0xFF && c2 === 0xFE) {
-        // Little-endian
-        isLE = true;
-      } else {
-        isLE = isUTF16LE(data);
-        i = 0;
+TextEncoder.prototype = {
+  constructor: TextEncoder,
+  /**
+   * Encode the string to UTF-8.
+   *
+   * The lone surrogates are replaced with U+FFFD.
+   *
+   * @param {string=} [input] The string.
+   * @return {Uint8Array|Array.<number>} The UTF-8 bytes.
+   */
+  encode: function(input) {
+    var string = input === undefined ? '' : '' + input;
+    var bytes = UNICODEToUTF8(stringToCode(string), {loneSurrogates: 'replace'});
+    return HAS_TYPED ? new Uint8Array(bytes) : bytes;
+  },
+  /**
+   * Encode the string to UTF-8 into the destination,
+   *  and returns the progress.
+   *
+   * @param {string} source The string.
+   * @param {Uint8Array} destination The destination.
+   * @return {Object} The number of UTF-16 code units that are read,
+   *   and the number of bytes that are written ({read, written}).
+   */
+  encodeInto: function(source, destination) {
+    var unicode = stringToCode('' + source);
+    var bytes = UNICODEToUTF8(unicode, {loneSurrogates: 'replace'});
+    var available = destination.length;
+    var read = 0;
+    var written = 0;
+    var len = unicode.length;
+    var c, size;
+
+    // Write the whole characters only.
+    while (read < len) {
+      c = nextCodePoint(unicode, read);
+      size = c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4;
+      if (written + size > available) {
+        break;
       }
-      continue;
-    }
 
-    if (isLE) {
-      results[results.length] = c2;
-      results[results.length] = c1;
-    } else {
-      results[results.length] = c1;
-      results[results.length] = c2;
+      for (var i = 0; i < size; i++) {
+        destination[written + i] = bytes[written + i];
+      }
+      written += size;
+      read += c > 0xFFFF ? 2 : 1;
     }
-  }
 
-  return results;
-}
+    return {
+      read: read,
+      written: written
+    };
+  }
+};
 
 /**
- * UTF-16BE to UTF-16
+ * Returns the bytes of ArrayBuffer, ArrayBufferView or Array.
+ *
+ * TypeError is thrown for the other types (e.g. string),
+ *  as the BufferSource of TextDecoder.
  *
  * @private
  * @ignore
  */
-function UTF16BEToUTF16(data, options) {
-  var isLE = false;
-  var bom;
+function toByteArray(input) {
+  if (input == null) {
+    return [];
+  }
 
-  if (options && options.bom) {
-    var optBom = options.bom;
-    if (!isString(optBom)) {
-      optBom = 'BE';
+  if (HAS_TYPED) {
+    if (isArrayBuffer(input)) {
+      return new Uint8Array(input);
     }
 
-    if (optBom.charAt(0).toUpperCase() === 'B') {
-      // Big-endian
-      bom = [0xFE, 0xFF];
-    } else {
-      // Little-endian
-      bom = [0xFF, 0xFE];
-      isLE = true;
+    if (ArrayBuffer.isView(input)) {
+      return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
     }
   }
 
-  var results = [];
-  var len = data && data.length;
-  var i = 0;
-
-  if (len >= 2 &&
-      ((data[0] === 0xFE && data[1] === 0xFF) ||
-       (data[0] === 0xFF && data[1] === 0xFE))
-  ) {
-    i = 2;
+  if (!isArray(input)) {
+    throw new TypeError('The provided value is not of type ' +
+      '\'(ArrayBuffer or ArrayBufferView)\'.');
   }
 
-  if (bom) {
-    results[0] = bom[0];
-    results[1] = bom[1];
-  }
-
-  var c1, c2;
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
-
-    if (isLE) {
-      results[results.length] = c2;
-      results[results.length] = c1;
-    } else {
-      results[results.length] = c1;
-      results[results.length] = c2;
-    }
-  }
+  return input;
+}
 
-  return results;
+/**
+ * The number of bytes that are searched for the declaration of charset.
+ *
+ * @private
+ * @ignore
+ */
+var SNIFF_BYTES = 1024;
+
+function createSniffResult(encoding, source, label) {
+  return {
+    encoding: encoding,
+    source: source,
+    label: label
+  };
 }
 
 /**
- * UTF-16 to UTF-16LE
+ * Returns the encoding name that exactly matches the label, or null.
+ *
+ * Unlike assignEncodingName, no error is thrown for the unknown label.
  *
  * @private
  * @ignore
  */
-function UTF16ToUTF16LE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var isLE = false;
-  var first = true;
-  var c1, c2;
+function findEncodingName(label) {
+  if (!label) {
+    return null;
+  }
 
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
+  var name = toEncodingKey(label);
+  if (hasOwnProperty.call(EncodingAliases, name)) {
+    return EncodingAliases[name];
+  }
 
-    if (first && i === 2) {
-      first = false;
-      if (c1 === 0xFE && c2 === 0xFF) {
-        isLE = false;
-      } else if (c1 === 0xFF && c2 === 0xFE) {
-        // Little-endian
-        isLE = true;
-      } else {
-        isLE = isUTF16LE(data);
-        i = 0;
-      }
-      continue;
-    }
+  return null;
+}
 
-    if (isLE) {
-      results[results.length] = c1;
-      results[results.length] = c2;
-    } else {
-      results[results.length] = c2;
-      results[results.length] = c1;
-    }
+/**
+ * Returns the charset parameter of Content-Type, or null.
+ *
+ * @private
+ * @ignore
+ */
+function getContentTypeCharset(contentType) {
+  if (!contentType) {
+    return null;
   }
 
-  return results;
+  var match = /;\s*charset\s*=\s*(?:"([^"]*)"|([^;\s]+))/i.exec(contentType);
+  return match ? (match[1] || match[2] || null) : null;
 }
 
 /**
- * UTF-16LE to UTF-16
+ * Prescan the HTML for <meta charset> or <meta http-equiv>.
+ *
+ * This is the simplified algorithm of "prescan a byte stream to
+ *  determine its encoding" in HTML Standard.
+ * The meta element that has an unsupported label is skipped.
  *
  * @private
  * @ignore
  */
-function UTF16LEToUTF16(data, options) {
-  var isLE = false;
-  var bom;
+function prescanMetaCharset(head) {
+  var tagRe = /<!--[\s\S]*?-->|<meta[\s\/]((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!\/?a-zA-Z](?:[^>"']|"[^"]*"|'[^']*')*>/gi;
+  var match, attrs, charset;
 
-  if (options && options.bom) {
-    var optBom = options.bom;
-    if (!isString(optBom)) {
-      optBom = 'BE';
+  while ((match = tagRe.exec(head)) !== null) {
+    if (match[1] == null) {
+      continue;
     }
 
-    if (optBom.charAt(0).toUpperCase() === 'B') {
-      // Big-endian
-      bom = [0xFE, 0xFF];
-    } else {
-      // Little-endian
-      bom = [0xFF, 0xFE];
-      isLE = true;
+    attrs = parseAttributes(match[1]);
+    charset = null;
+    if (attrs.charset) {
+      charset = attrs.charset;
+    } else if (attrs['http-equiv'] &&
+               attrs['http-equiv'].toLowerCase() === 'content-type') {
+      charset = getMetaContentCharset(attrs.content);
     }
-  }
-
-  var results = [];
-  var len = data && data.length;
-  var i = 0;
-
-  if (len >= 2 &&
-      ((data[0] === 0xFE && data[1] === 0xFF) ||
-       (data[0] === 0xFF && data[1] === 0xFE))
-  ) {
-    i = 2;
-  }
-
-  if (bom) {
-    results[0] = bom[0];
-    results[1] = bom[1];
-  }
-
-  var c1, c2;
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
 
-    if (isLE) {
-      results[results.length] = c1;
-      results[results.length] = c2;
-    } else {
-      results[results.length] = c2;
-      results[results.length] = c1;
+    if (findEncodingName(charset)) {
+      return charset;
     }
   }
 
-  return results;
+  return null;
 }
 
 /**
- * UTF-16BE to UTF-16LE
+ * Extract the charset from the content attribute of meta element.
  *
  * @private
  * @ignore
  */
-function UTF16BEToUTF16LE(data) {
-  var results = [];
-  var i = 0;
-  var len = data && data.length;
-  var c1, c2;
-
-  if (len >= 2 &&
-      ((data[0] === 0xFE && data[1] === 0xFF) ||
-       (data[0] === 0xFF && data[1] === 0xFE))
-  ) {
-    i = 2;
-  }
+function getMetaContentCharset(content) {
+  var match = /charset\s*=\s*(?:"([^"]*)"|'([^']*)'|([^;\s"']+))/i.exec(content || '');
+  return match ? (match[1] || match[2] || match[3] || null) : null;
+}
 
-  while (i < len) {
-    c1 = data[i++];
-    c2 = data[i++];
-    results[results.length] = c2;
-    results[results.length] = c1;
+/**
+ * Parse the attributes of the tag to the object (the names are lower case).
+ *
+ * @private
+ * @ignore
+ */
+function parseAttributes(source) {
+  var attrRe = /([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  var attrs = {};
+  var match, name;
+
+  while ((match = attrRe.exec(source)) !== null) {
+    name = match[1].toLowerCase();
+    // The first attribute is used when the attributes are duplicated.
+    if (!hasOwnProperty.call(attrs, name)) {
+      attrs[name] = match[2] || match[3] || match[4] || '';
+    }
   }
 
-  return results;
+  return attrs;
 }
 
 /**
- * UTF-16LE to UTF-16BE
+ * Returns the encoding of XML declaration, or null.
  *
  * @private
  * @ignore
  */
-function UTF16LEToUTF16BE(data) {
-  return UTF16BEToUTF16LE(data);
+function getXMLDeclarationEncoding(head) {
+  var match = /^<\?xml\s[^>]*?encoding\s*=\s*(?:"([^"]*)"|'([^']*)')/.exec(head);
+  return match ? (match[1] || match[2] || null) : null;
 }
 
 /**
- * UTF-8 to UTF-16
+ * Returns the encoding of @charset rule in CSS, or null.
  *
  * @private
  * @ignore
  */
-function UTF8ToUTF16(data, options) {
-  return UNICODEToUTF16(UTF8ToUNICODE(data), options);
+function getCSSCharset(head) {
+  var match = /^@charset "([^"]*)";/.exec(head);
+  return match ? match[1] || null : null;
 }
 
 /**
- * UTF-16 to UTF-8
+ * Returns the result of convert as the type.
+ *
+ *   - 'string' Return as string.
+ *   - 'array' Return as Array (default).
+ *   - 'uint8array' Return as Uint8Array.
+ *   - 'uint16array' Return as Uint16Array.
+ *   - 'arraybuffer' Return as ArrayBuffer
+ *      (the buffer of Uint16Array if the encoding is UNICODE).
+ *   - 'buffer' Return as Node.js Buffer.
+ *   - 'base64' Return as Base64 encoded string.
+ *   - 'hex' Return as hexadecimal string.
+ *
+ * The byte types ('uint8array', 'buffer', 'base64' and 'hex') cannot be
+ *  specified for UNICODE array.
  *
  * @private
  * @ignore
  */
-function UTF16ToUTF8(data) {
-  return UNICODEToUTF8(UTF16ToUNICODE(data));
+function formatResult(result, type, encoding) {
+  type = ('' + type).toLowerCase();
+
+  switch (type) {
+    case 'string':
+      return codeToString_fast(result);
+    case 'uint16array':
+      return codeToBuffer(result, 16);
+    case 'arraybuffer':
+      return bufferToArrayBuffer(
+        codeToBuffer(result, encoding === 'UNICODE' ? 16 : 8));
+    case 'uint8array':
+      checkByteType(type, encoding);
+      return codeToBuffer(result, 8);
+    case 'buffer':
+      checkByteType(type, encoding);
+      if (!HAS_NATIVE_BUFFER) {
+        throw new Error('Buffer is not available');
+      }
+      return Buffer.from(result);
+    case 'base64':
+      checkByteType(type, encoding);
+      return base64encode(result);
+    case 'hex':
+      checkByteType(type, encoding);
+      return hexEncode(result);
+    case 'array':
+      /* falls through */
+    default:
+      return bufferToCode(result);
+  }
 }
 
 /**
- * UTF-8 to UTF-16BE
+ * Throws an error if the byte type of result is specified for UNICODE array.
  *
  * @private
  * @ignore
  */
-function UTF8ToUTF16BE(data) {
-  return UNICODEToUTF16BE(UTF8ToUNICODE(data));
+function checkByteType(type, encoding) {
+  if (encoding === 'UNICODE') {
+    throw new Error('Cannot return UNICODE array as ' + type);
+  }
 }
 
 /**
- * UTF-16BE to UTF-8
+ * Returns the part of data without copying the typed array if possible.
  *
  * @private
  * @ignore
  */
-function UTF16BEToUTF8(data) {
-  return UNICODEToUTF8(UTF16BEToUNICODE(data));
+function sliceData(data, begin, end) {
+  if (typeof data.subarray === 'function') {
+    return data.subarray(begin, end);
+  }
+
+  return slice.call(data, begin, end);
 }
 
 /**
- * UTF-8 to UTF-16LE
+ * Whether the encoding should be detected from the argument of convert.
+ *  ("AUTO", the encoding-list as an array, or comma separated list string)
  *
  * @private
  * @ignore
  */
-function UTF8ToUTF16LE(data) {
-  return UNICODEToUTF16LE(UTF8ToUNICODE(data));
+function isAutoDetect(from) {
+  return !(from != null && isString(from) &&
+           from.toUpperCase() !== 'AUTO' && !~from.indexOf(','));
 }
 
 /**
- * UTF-16LE to UTF-8
+ * Whether the encoding is in the encoding-list of detect.
  *
  * @private
  * @ignore
  */
-function UTF16LEToUTF8(data) {
-  return UNICODEToUTF8(UTF16LEToUNICODE(data));
+function isDetectableEncoding(encodings, encoding) {
+  encodings = getEncodingList(encodings);
+
+  for (var i = 0, len = encodings.length; i < len; i++) {
+    if (findEncodingName(encodings[i]) === encoding) {
+      return true;
+    }
+  }
+
+  return false;
 }
 
 /**
- * Assign the internal encoding name from the argument encoding name.
+ * Returns the encoding-list from the argument of detect.
  *
  * @private
  * @ignore
  */
-function assignEncodingName(target) {
-  var name = '';
-  var expect = ('' + target).toUpperCase().replace(/[^A-Z0-9]+/g, '');
-  var aliasNames = getKeys(EncodingAliases);
-  var len = aliasNames.length;
-  var hit = 0;
-  var encoding, encodingLen, j;
+function getEncodingList(encodings) {
+  if (encodings == null) {
+    return Encoding.orders;
+  }
 
-  for (var i = 0; i < len; i++) {
-    encoding = aliasNames[i];
-    if (encoding === expect) {
-      name = encoding;
-      break;
+  if (isString(encodings)) {
+    encodings = encodings.toUpperCase();
+    if (encodings === 'AUTO') {
+      return Encoding.orders;
     }
 
-    encodingLen = encoding.length;
-    for (j = hit; j < encodingLen; j++) {
-      if (encoding.slice(0, j) === expect.slice(0, j) ||
-          encoding.slice(-j) === expect.slice(-j)) {
-        name = encoding;
-        hit = j;
-      }
+    if (~encodings.indexOf(',')) {
+      return encodings.split(/\s*,\s*/);
     }
-  }
 
-  if (hasOwnProperty.call(EncodingAliases, name)) {
-    return EncodingAliases[name];
+    return [encodings];
   }
 
-  return name;
+  return encodings;
 }
 
 
@@ -1550,6 +7135,36 @@ function isString(x) {
   return typeof x === 'string' || toString.call(x) === '[object String]';
 }
 
+function isArrayBuffer(x) {
+  var tag = toString.call(x);
+  return tag === '[object ArrayBuffer]' ||
+    tag === '[object SharedArrayBuffer]';
+}
+
+
+// Returns the data (or the chunk) of convert and detect as an array:
+//  - string: UNICODE array.
+//  - ArrayBuffer, SharedArrayBuffer and DataView: Uint8Array of the bytes
+//     without copying.
+//  - Array and the typed arrays (including Node.js Buffer): as is.
+function toArrayData(data) {
+  if (isString(data)) {
+    return stringToBuffer(data);
+  }
+
+  if (HAS_TYPED && data != null) {
+    if (isArrayBuffer(data)) {
+      return new Uint8Array(data);
+    }
+
+    if (toString.call(data) === '[object DataView]') {
+      return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+    }
+  }
+
+  return data;
+}
+
 
 function getKeys(object) {
   if (Object.keys) {
@@ -1579,6 +7194,58 @@ function createBuffer(bits, size) {
 }
 
 
+// Returns the first length elements of the buffer from createBuffer.
+function sliceBuffer(buffer, length) {
+  if (!HAS_TYPED) {
+    buffer.length = length;
+    return buffer;
+  }
+
+  return buffer.subarray(0, length);
+}
+
+
+// Ensure the buffer can hold size more elements after the length.
+function growBuffer(buffer, length, size) {
+  if (!HAS_TYPED || length + size <= buffer.length) {
+    return buffer;
+  }
+
+  var results = new buffer.constructor(
+    Math.max(buffer.length * 2, length + size));
+  results.set(buffer.subarray(0, length));
+  return results;
+}
+
+
+// Returns the upper bound of the byte length of UNICODE array in UTF-8.
+function getUTF8Length(data) {
+  var length = 0;
+  var len = data && data.length;
+  var c, second;
+
+  for (var i = 0; i < len; i++) {
+    c = data[i];
+
+    if (c < 0x80) {
+      length += 1;
+    } else if (c < 0x800) {
+      length += 2;
+    } else if (c >= 0xD800 && c <= 0xDBFF &&
+               (second = data[i + 1]) >= 0xDC00 && second <= 0xDFFF) {
+      length += 4;
+      i++;
+    } else if (c < 0x10000) {
+      length += 3;
+    } else if (c < 0x200000) {
+      length += 4;
+    }
+  }
+
+  return length;
+}
+
+
 function stringToBuffer(string) {
   var length = string.length;
   var buffer = createBuffer(16, length);
@@ -1680,10 +7347,14 @@ function stringToCode(string) {
 }
 
 
-function codeToBuffer(code) {
+function codeToBuffer(code, bits) {
   if (HAS_TYPED) {
     // Use Uint16Array for Unicode codepoint.
-    return new Uint16Array(code);
+    var TypedArray = bits === 8 ? Uint8Array : Uint16Array;
+    if (code instanceof TypedArray) {
+      return code;
+    }
+    return new TypedArray(code);
   } else {
     if (isArray(code)) {
       return code;
@@ -1701,12 +7372,52 @@ function codeToBuffer(code) {
 }
 
 
+// Array.prototype.slice of the typed array is much slower than the loop.
 function bufferToCode(buffer) {
   if (isArray(buffer)) {
     return buffer;
   }
 
-  return slice.call(buffer);
+  var length = buffer.length;
+  var code = new Array(length);
+
+  for (var i = 0; i < length; i++) {
+    code[i] = buffer[i];
+  }
+
+  return code;
+}
+
+
+// Returns the ArrayBuffer that has only the elements of the typed array.
+function bufferToArrayBuffer(buffer) {
+  if (isArray(buffer)) {
+    return buffer;
+  }
+
+  if (buffer.byteOffset === 0 &&
+      buffer.byteLength === buffer.buffer.byteLength) {
+    return buffer.buffer;
+  }
+
+  return new buffer.constructor(buffer).buffer;
+}
+
+
+function hexEncode(data) {
+  var alpha = stringToCode('0123456789abcdef');
+  var len = data && data.length;
+  var results = createBuffer(16, len * 2);
+  var n = 0;
+  var b;
+
+  for (var i = 0; i < len; i++) {
+    b = data[i] & 0xFF;
+    results[n++] = alpha[b >> 4];
+    results[n++] = alpha[b & 0xF];
+  }
+
+  return codeToString_fast(results);
 }
 
 // Base64
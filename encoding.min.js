@@ -4,6 +4,11 @@
  * https://github.com/arashsoft/encoding.js
  * @license MIT
  */
-!function(a,b,c){"undefined"!=typeof exports?"undefined"!=typeof module&&module.exports?module.exports=c():exports.Encoding=c():"function"==typeof define&&define.amd?define(c):b.Encoding=c()}(0,this,function(){"use strict";function a(a){for(var b,c=0,d=a&&a.length;c<d;c++){if((b=a[c])>255)return!1;if(b>=0&&b<=7||255===b)return!0}return!1}function b(a){for(var b,c=0,d=a&&a.length;c<d;c++)if((b=a[c])>255||b>=128&&b<=255||27===b)return!1;return!0}function c(a){for(var b,c=0,d=a&&a.length;c<d;c++){if((b=a[c])>255)return!1;if(!(9===b||10===b||13===b||b>=32&&b<=126))if(b>=194&&b<=223){if(c+1>=d||a[c+1]<128||a[c+1]>191)return!1;c++}else if(224===b){if(c+2>=d||a[c+1]<160||a[c+1]>191||a[c+2]<128||a[c+2]>191)return!1;c+=2}else if(b>=225&&b<=236||238===b||239===b){if(c+2>=d||a[c+1]<128||a[c+1]>191||a[c+2]<128||a[c+2]>191)return!1;c+=2}else if(237===b){if(c+2>=d||a[c+1]<128||a[c+1]>159||a[c+2]<128||a[c+2]>191)return!1;c+=2}else if(240===b){if(c+3>=d||a[c+1]<144||a[c+1]>191||a[c+2]<128||a[c+2]>191||a[c+3]<128||a[c+3]>191)return!1;c+=3}else if(b>=241&&b<=243){if(c+3>=d||a[c+1]<128||a[c+1]>191||a[c+2]<128||a[c+2]>191||a[c+3]<128||a[c+3]>191)return!1;c+=3}else{if(244!==b)return!1;if(c+3>=d||a[c+1]<128||a[c+1]>143||a[c+2]<128||a[c+2]>191||a[c+3]<128||a[c+3]>191)return!1;c+=3}}return!0}function d(a){var b,c,d,e,f=0,g=a&&a.length,h=null;if(g<2){if(a[0]>255)return!1}else{if(b=a[0],c=a[1],255===b&&254===c)return!0;if(254===b&&255===c)return!0;for(;f<g;f++){if(0===a[f]){h=f;break}if(a[f]>255)return!1}if(null===h)return!1;if(void 0!==(d=a[h+1])&&d>0&&d<128)return!0;if(void 0!==(e=a[h-1])&&e>0&&e<128)return!0}return!1}function e(a){var b,c,d=0,e=a&&a.length,f=null;if(e<2){if(a[0]>255)return!1}else{if(b=a[0],c=a[1],254===b&&255===c)return!0;for(;d<e;d++){if(0===a[d]){f=d;break}if(a[d]>255)return!1}if(null===f)return!1;if(f%2==0)return!0}return!1}function f(a){var b,c,d=0,e=a&&a.length,f=null;if(e<2){if(a[0]>255)return!1}else{if(b=a[0],c=a[1],255===b&&254===c)return!0;for(;d<e;d++){if(0===a[d]){f=d;break}if(a[d]>255)return!1}if(null===f)return!1;if(f%2!=0)return!0}return!1}function g(a){var b,c,d,e,f,g,h=0,i=a&&a.length,j=null;if(i<4){for(;h<i;h++)if(a[h]>255)return!1}else{if(b=a[0],c=a[1],d=a[2],e=a[3],0===b&&0===c&&254===d&&255===e)return!0;if(255===b&&254===c&&0===d&&0===e)return!0;for(;h<i;h++){if(0===a[h]&&0===a[h+1]&&0===a[h+2]){j=h;break}if(a[h]>255)return!1}if(null===j)return!1;if(void 0!==(f=a[j+3])&&f>0&&f<=127)return 0===a[j+2]&&0===a[j+1];if(void 0!==(g=a[j-1])&&g>0&&g<=127)return 0===a[j+1]&&0===a[j+2]}return!1}function h(a){for(var b,c=0,d=a&&a.length;c<d;c++)if((b=a[c])<0||b>1114111)return!1;return!0}function i(a){for(var b,c,d=[],e=0,f=a&&a.length;e<f;e++)b=a[e],b>=55296&&b<=56319&&e+1<f&&(c=a[e+1])>=56320&&c<=57343&&(b=1024*(b-55296)+c-56320+65536,e++),b<128?d[d.length]=b:b<2048?(d[d.length]=192|b>>6&31,d[d.length]=128|63&b):b<65536?(d[d.length]=224|b>>12&15,d[d.length]=128|b>>6&63,d[d.length]=128|63&b):b<2097152&&(d[d.length]=240|b>>18&15,d[d.length]=128|b>>12&63,d[d.length]=128|b>>6&63,d[d.length]=128|63&b);return d}function j(a){for(var b,c,d,e,f,g,h=[],i=0,j=a&&a.length;i<j;)c=a[i++],b=c>>4,b>=0&&b<=7?g=c:12===b||13===b?(d=a[i++],g=(31&c)<<6|63&d):14===b?(d=a[i++],e=a[i++],g=(15&c)<<12|(63&d)<<6|63&e):15===b&&(d=a[i++],e=a[i++],f=a[i++],g=(7&c)<<18|(63&d)<<12|(63&e)<<6|63&f),g<=65535?h[h.length]=g:(g-=65536,h[h.length]=55296+(g>>10),h[h.length]=g%1024+56320);return h}function k(a,b){var c;if(b&&b.bom){var d=b.bom;F(d)||(d="BE");var e,f;"B"===d.charAt(0).toUpperCase()?(e=[254,255],f=l(a)):(e=[255,254],f=m(a)),c=[],c[0]=e[0],c[1]=e[1];for(var g=0,h=f.length;g<h;g++)c[c.length]=f[g]}else c=l(a);return c}function l(a){for(var b,c=[],d=0,e=a&&a.length;d<e;)b=a[d++],b<=255?(c[c.length]=0,c[c.length]=b):b<=65535&&(c[c.length]=b>>8&255,c[c.length]=255&b);return c}function m(a){for(var b,c=[],d=0,e=a&&a.length;d<e;)b=a[d++],b<=255?(c[c.length]=b,c[c.length]=0):b<=65535&&(c[c.length]=255&b,c[c.length]=b>>8&255);return c}function n(a){var b,c,d=[],e=0,f=a&&a.length;for(f>=2&&(254===a[0]&&255===a[1]||255===a[0]&&254===a[1])&&(e=2);e<f;)b=a[e++],c=a[e++],d[d.length]=0===b?c:(255&b)<<8|255&c;return d}function o(a){var b,c,d=[],e=0,f=a&&a.length;for(f>=2&&(254===a[0]&&255===a[1]||255===a[0]&&254===a[1])&&(e=2);e<f;)b=a[e++],c=a[e++],d[d.length]=0===c?b:(255&c)<<8|255&b;return d}function p(a){for(var b,c,d=[],e=0,g=a&&a.length,h=!1,i=!0;e<g;)b=a[e++],c=a[e++],i&&2===e?(i=!1,254===b&&255===c?h=!1:255===b&&254===c?h=!0:(h=f(a),e=0)):d[d.length]=h?0===c?b:(255&c)<<8|255&b:0===b?c:(255&b)<<8|255&c;return d}function q(a){for(var b,c,d=[],e=0,g=a&&a.length,h=!1,i=!0;e<g;)b=a[e++],c=a[e++],i&&2===e?(i=!1,254===b&&255===c?h=!1:255===b&&254===c?h=!0:(h=f(a),e=0)):h?(d[d.length]=c,d[d.length]=b):(d[d.length]=b,d[d.length]=c);return d}function r(a,b){var c,d=!1;if(b&&b.bom){var e=b.bom;F(e)||(e="BE"),"B"===e.charAt(0).toUpperCase()?c=[254,255]:(c=[255,254],d=!0)}var f=[],g=a&&a.length,h=0;g>=2&&(254===a[0]&&255===a[1]||255===a[0]&&254===a[1])&&(h=2),c&&(f[0]=c[0],f[1]=c[1]);for(var i,j;h<g;)i=a[h++],j=a[h++],d?(f[f.length]=j,f[f.length]=i):(f[f.length]=i,f[f.length]=j);return f}function s(a){for(var b,c,d=[],e=0,g=a&&a.length,h=!1,i=!0;e<g;)b=a[e++],c=a[e++],i&&2===e?(i=!1,254===b&&255===c?h=!1:255===b&&254===c?h=!0:(h=f(a),e=0)):h?(d[d.length]=b,d[d.length]=c):(d[d.length]=c,d[d.length]=b);return d}function t(a,b){var c,d=!1;if(b&&b.bom){var e=b.bom;F(e)||(e="BE"),"B"===e.charAt(0).toUpperCase()?c=[254,255]:(c=[255,254],d=!0)}var f=[],g=a&&a.length,h=0;g>=2&&(254===a[0]&&255===a[1]||255===a[0]&&254===a[1])&&(h=2),c&&(f[0]=c[0],f[1]=c[1]);for(var i,j;h<g;)i=a[h++],j=a[h++],d?(f[f.length]=i,f[f.length]=j):(f[f.length]=j,f[f.length]=i);return f}function u(a){var b,c,d=[],e=0,f=a&&a.length;for(f>=2&&(254===a[0]&&255===a[1]||255===a[0]&&254===a[1])&&(e=2);e<f;)b=a[e++],c=a[e++],d[d.length]=c,d[d.length]=b;return d}function v(a){return u(a)}function w(a,b){return k(j(a),b)}function x(a){return i(p(a))}function y(a){return l(j(a))}function z(a){return i(n(a))}function A(a){return m(j(a))}function B(a){return i(o(a))}function C(a){for(var b,c,d,e="",f=(""+a).toUpperCase().replace(/[^A-Z0-9]+/g,""),g=G(_),h=g.length,i=0,j=0;j<h;j++){if((b=g[j])===f){e=b;break}for(c=b.length,d=i;d<c;d++)b.slice(0,d)!==f.slice(0,d)&&b.slice(-d)!==f.slice(-d)||(e=b,i=d)}return U.call(_,e)?_[e]:e}function D(a){var b=typeof a;return"function"===b||"object"===b&&!!a}function E(a){return Array.isArray?Array.isArray(a):"[object Array]"===T.call(a)}function F(a){return"string"==typeof a||"[object String]"===T.call(a)}function G(a){if(Object.keys)return Object.keys(a);var b=[];for(var c in a)U.call(a,c)&&(b[b.length]=c);return b}function H(a,b){if(!V)return new Array(b);switch(a){case 8:return new Uint8Array(b);case 16:return new Uint16Array(b)}}function I(a){for(var b=a.length,c=H(16,b),d=0;d<b;d++)c[d]=a.charCodeAt(d);return c}function J(a){if(W&&X){var b=a&&a.length;if(b<Y){if(Z)return R.apply(null,a);if(null===Z)try{var c=R.apply(null,a);return b>Y&&(Z=!0),c}catch(a){Z=!1}}}return K(a)}function K(a){for(var b,c="",d=a&&a.length,e=0;e<d;){if(b=a.subarray?a.subarray(e,e+Y):a.slice(e,e+Y),e+=Y,!Z){if(null===Z)try{c+=R.apply(null,b),b.length>Y&&(Z=!0);continue}catch(a){Z=!1}return L(a)}c+=R.apply(null,b)}return c}function L(a){for(var b="",c=a&&a.length,d=0;d<c;d++)b+=R(a[d]);return b}function M(a){for(var b=[],c=a&&a.length,d=0;d<c;d++)b[d]=a.charCodeAt(d);return b}function N(a){if(V)return new Uint16Array(a);if(E(a))return a;for(var b=a&&a.length,c=[],d=0;d<b;d++)c[d]=a[d];return c}function O(a){return E(a)?a:S.call(a)}function P(a){var b,c,d,e,f,g;for(d=a&&a.length,c=0,b=[];c<d;){if(e=a[c++],c==d){b[b.length]=ea[e>>2],b[b.length]=ea[(3&e)<<4],b[b.length]=ga,b[b.length]=ga;break}if(f=a[c++],c==d){b[b.length]=ea[e>>2],b[b.length]=ea[(3&e)<<4|(240&f)>>4],b[b.length]=ea[(15&f)<<2],b[b.length]=ga;break}g=a[c++],b[b.length]=ea[e>>2],b[b.length]=ea[(3&e)<<4|(240&f)>>4],b[b.length]=ea[(15&f)<<2|(192&g)>>6],
-b[b.length]=ea[63&g]}return J(b)}function Q(a){var b,c,d,e,f,g,h;for(g=a&&a.length,f=0,h=[];f<g;){do{b=fa[255&a.charCodeAt(f++)]}while(f<g&&-1==b);if(-1==b)break;do{c=fa[255&a.charCodeAt(f++)]}while(f<g&&-1==c);if(-1==c)break;h[h.length]=b<<2|(48&c)>>4;do{if(61==(d=255&a.charCodeAt(f++)))return h;d=fa[d]}while(f<g&&-1==d);if(-1==d)break;h[h.length]=(15&c)<<4|(60&d)>>2;do{if(61==(e=255&a.charCodeAt(f++)))return h;e=fa[e]}while(f<g&&-1==e);if(-1==e)break;h[h.length]=(3&d)<<6|e}return h}var R=("?".charCodeAt(0),String.fromCharCode),S=Array.prototype.slice,T=Object.prototype.toString,U=Object.prototype.hasOwnProperty,V="undefined"!=typeof Uint8Array&&"undefined"!=typeof Uint16Array,W=!1,X=!1;try{"a"===R.apply(null,[97])&&(W=!0)}catch(a){}if(V)try{"a"===R.apply(null,new Uint8Array([97]))&&(X=!0)}catch(a){}var Y=65533,Z=null,$={UTF32:{order:0},UTF32BE:{alias:["UCS4"]},UTF32LE:null,UTF16:{order:1},UTF16BE:{alias:["UCS2"]},UTF16LE:null,BINARY:{order:2},ASCII:{order:3,alias:["ISO646","CP367"]},UTF8:{order:5},UNICODE:{order:8}},_={},aa=function(){for(var a,b,c,d,e=_,f=G($),g=[],h=0,i=f.length;h<i;h++)if(a=f[h],e[a]=a,null!=(b=$[a])&&(void 0!==b.order&&(g[g.length]=a),b.alias))for(c=0,d=b.alias.length;c<d;c++)e[b.alias[c]]=a;return g.sort(function(a,b){return $[a].order-$[b].order}),g}(),ba={orders:aa,detect:function(a,b){if(null==a||0===a.length)return!1;D(b)&&!E(b)&&(b=b.encoding),F(a)&&(a=I(a)),null==b?b=ba.orders:F(b)&&(b=b.toUpperCase(),b="AUTO"===b?ba.orders:~b.indexOf(",")?b.split(/\s*,\s*/):[b]);for(var c,d,e,f=b.length,g=0;g<f;g++)if(c=b[g],d=C(c)){if(e="is"+d,!U.call(ca,e))throw new Error("Undefined encoding: "+c);if(ca[e](a))return d}return!1},convert:function(a,b,c){var d,e,f={};D(b)&&(f=b,c=f.from,b=f.to,f.type&&(e=f.type)),F(a)?(e=e||"string",a=I(a)):null!=a&&0!==a.length||(a=[]);var g;g=null!=c&&F(c)&&"AUTO"!==c.toUpperCase()&&!~c.indexOf(",")?C(c):ba.detect(a);var h=C(b),i=g+"To"+h;switch(d=U.call(da,i)?da[i](a,f):a,(""+e).toLowerCase()){case"string":return J(d);case"arraybuffer":return N(d);case"array":default:return O(d)}},urlEncode:function(a){F(a)&&(a=I(a));for(var b,c=M("0123456789ABCDEF"),d=[],e=0,f=a&&a.length;e<f;e++){if((b=a[e])>255)return encodeURIComponent(J(a));b>=97&&b<=122||b>=65&&b<=90||b>=48&&b<=57||33===b||b>=39&&b<=42||45===b||46===b||95===b||126===b?d[d.length]=b:(d[d.length]=37,b<16?(d[d.length]=48,d[d.length]=c[b]):(d[d.length]=c[b>>4&15],d[d.length]=c[15&b]))}return J(d)},urlDecode:function(a){for(var b,c=[],d=0,e=a&&a.length;d<e;)b=a.charCodeAt(d++),c[c.length]=37===b?parseInt(a.charAt(d++)+a.charAt(d++),16):b;return c},base64Encode:function(a){return F(a)&&(a=I(a)),P(a)},base64Decode:function(a){return Q(a)},codeToString:J,stringToCode:M},ca={isBINARY:a,isASCII:b,isUTF8:c,isUTF16:d,isUTF16BE:e,isUTF16LE:f,isUTF32:g,isUNICODE:h},da={UNICODEToUTF8:i,UTF8ToUNICODE:j,UNICODEToUTF16:k,UTF16ToUNICODE:p,UNICODEToUTF16BE:l,UTF16BEToUNICODE:n,UNICODEToUTF16LE:m,UTF16LEToUNICODE:o,UTF8ToUTF16:w,UTF16ToUTF8:x,UTF8ToUTF16BE:y,UTF16BEToUTF8:z,UTF8ToUTF16LE:A,UTF16LEToUTF8:B,UTF16ToUTF16BE:q,UTF16BEToUTF16:r,UTF16ToUTF16LE:s,UTF16LEToUTF16:t,UTF16BEToUTF16LE:u,UTF16LEToUTF16BE:v},ea=[65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,48,49,50,51,52,53,54,55,56,57,43,47],fa=[-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,62,-1,-1,-1,63,52,53,54,55,56,57,58,59,60,61,-1,-1,-1,-1,-1,-1,-1,0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,-1,-1,-1,-1,-1,-1,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,-1,-1,-1,-1,-1],ga="=".charCodeAt(0);return ba});
+!function(a,b,c){"undefined"!=typeof exports?"undefined"!=typeof module&&module.exports?module.exports=c():exports.Encoding=c():"function"==typeof define&&define.amd?define(c):b.Encoding=c()}(0,this,function(){"use strict";function a(b,c){this.name="EncodingError",this.message="UNKNOWN_ENCODING"===c.reason?"Unknown encoding: "+b:"Invalid "+b+" data: "+za(c),this.encoding=b,this.offset=c.offset,this.reason=c.reason,this.value=c.value,Error.captureStackTrace?Error.captureStackTrace(this,a):this.stack=new Error(this.message).stack}function b(a,b){return va(ie.BINARY,a,b)}function c(a){return{result:null,offset:0,error:null,allowControlChars:!(!a||!a.allowControlChars)}}function d(a,b){for(var c,d=0,e=b&&b.length;d<e&&null===a.result;d++)c=b[d],c>255?(a.result=!1,ya(a,a.offset+d,"NOT_BYTE",c)):(255===c||c>=0&&c<=7&&!a.allowControlChars)&&(a.result=!0);return a.offset+=e,a}function e(a){return!0===a.result}function f(a){return a.error||xa(-1,"NO_BINARY_BYTE")}function g(a,b){return va(ie.ASCII,a,b)}function h(a){return{valid:!0,offset:0,error:null,allowControlChars:!(!a||!a.allowControlChars)}}function i(a,b){for(var c,d=0,e=b&&b.length;d<e&&a.valid;d++)((c=b[d])>255||c>=128&&c<=255||27===c&&!a.allowControlChars)&&(a.valid=!1,ya(a,a.offset+d,c>255?"NOT_BYTE":27===c?"ESCAPE":"NON_ASCII_BYTE",c));return a.offset+=e,a}function j(a){return a.valid}function k(a){return a.error}function l(a,b){return va(ie.UTF8,a,b)}function m(a){return{valid:!0,need:0,lower:128,upper:191,lead:0,leadOffset:-1,offset:0,error:null,allowControlChars:!(!a||!a.allowControlChars)}}function n(a,b){for(var c,d=0,e=b&&b.length;d<e&&a.valid;d++)if(c=b[d],a.need>0){if(c<a.lower||c>a.upper){a.valid=!1,ya(a,a.offset+d,r(a.lead,c),c);break}a.lower=128,a.upper=191,a.need--}else{if(c>255){a.valid=!1,ya(a,a.offset+d,"NOT_BYTE",c);break}9===c||10===c||13===c||c>=32&&c<=126||c<=127&&a.allowControlChars||(a.lead=c,a.leadOffset=a.offset+d,c>=194&&c<=223?a.need=1:224===c?(a.need=2,a.lower=160):c>=225&&c<=236||238===c||239===c?a.need=2:237===c?(a.need=2,a.upper=159):240===c?(a.need=3,a.lower=144):c>=241&&c<=243?a.need=3:244===c?(a.need=3,a.upper=143):(a.valid=!1,ya(a,a.offset+d,q(c),c)))}return a.offset+=e,a}function o(a,b){return a.valid&&(b||0===a.need)}function p(a,b){return a.error?a.error:!b&&a.need>0?xa(a.leadOffset,"TRUNCATED_SEQUENCE",a.lead):null}function q(a){return a>=128&&a<=191?"UNEXPECTED_CONTINUATION":192===a||193===a?"OVERLONG_LEAD":a>=245?"INVALID_LEAD":"CONTROL_CHARACTER"}function r(a,b){if(b<128||b>191)return"INVALID_CONTINUATION";switch(a){case 224:case 240:return"OVERLONG_SEQUENCE";case 237:return"SURROGATE";default:return"OUT_OF_RANGE"}}function s(a,b){return va(ie.UTF16,a,b)}function t(a,b){return va(ie.UTF16BE,a,b)}function u(a,b){return va(ie.UTF16LE,a,b)}function v(a){return{head:[],stats:L(),utf8:m(a),cesu8:ga(a)}}function w(a,b){for(var c=b&&b.length,d=a.stats,e=0;e<c&&a.head.length<2;e++)a.head[a.head.length]=b[e];return null!==x(a)?(d.length+=c,a):(z(a)&&A(a,b),M(d,b),a)}function x(a){var b=a.head;if(2===b.length){if(254===b[0]&&255===b[1])return"BE";if(255===b[0]&&254===b[1])return"LE"}return null}function y(a,b){var c=z(a)&&B(a,b);return R(a.stats,c)}function z(a){var b=a.stats;return a.utf8.allowControlChars||b.nulls[0]+b.nulls[1]===0}function A(a,b){n(a.utf8,b),ha(a.cesu8,b)}function B(a,b){return o(a.utf8,b)||la(a.cesu8,b)||ma(a.cesu8,b)}function C(a,b){var c=a.stats.length;return c>=2&&(c%2==0||!!b)}function D(a,b){return!!C(a,b)&&(null!==x(a)||null!==y(a,b))}function E(a,b){if(!C(a,b))return!1;var c=x(a);return null!==c?"BE"===c:"BE"===y(a,b)}function F(a,b){if(!C(a,b))return!1;var c=x(a);return null!==c?"LE"===c:"LE"===y(a,b)}function G(a,b,c){var d=a.stats;if(d.length<2)return xa(-1,"TOO_SHORT");var e=C(a,b)?null:xa(d.length-1,"TRUNCATED_SEQUENCE"),f=x(a);if(null!==f)return c&&f!==c?xa(0,"BOM_MISMATCH"):e;if(d.wide)return xa(d.length,"NOT_BYTE");if(z(a)&&B(a,b))return xa(-1,"UTF8_TEXT");if(e)return e;var g=y(a,b);if(null===g){var h=d.orders[0],i=d.orders[1],j="LE"===c?i:"BE"===c||h.invalid>0?h:i;return j.invalid>0?xa(j.invalidOffset,"INVALID_SURROGATE"):xa(-1,"IMPLAUSIBLE")}return c&&g!==c?xa(-1,"BYTE_ORDER"):null}function H(a,b){return G(a,b,null)}function I(a,b){return G(a,b,"BE")}function J(a,b){return G(a,b,"LE")}function K(a){var b=v();return A(b,a),M(b.stats,a),y(b)}function L(){for(var a=[],b=0;b<2;b++)a[b]={units:0,plausible:0,invalid:0,invalidOffset:-1,latin:0,highBytes:{},highs:0,high:!1};return{length:0,nulls:[0,0],nonASCII:0,wide:!1,last:0,orders:a}}function M(a,b){for(var c,d=b&&b.length,e=0;e<d;e++){if((c=b[e])>255){a.wide=!0;break}0===c?a.nulls[a.length%2]++:c>127&&a.nonASCII++,a.length%2==0?a.last=c:(N(a.orders[0],a.last<<8|c,a.length-1),N(a.orders[1],c<<8|a.last,a.length-1)),a.length++}return a}function N(a,b,c){return a.units++,a.highBytes[b>>8]||(a.highBytes[b>>8]=!0,a.highs++),O(b>>8)&&O(255&b)&&a.latin++,b>=55296&&b<=56319?(a.high&&P(a,c),void(a.high=!0)):b>=56320&&b<=57343?(a.high?a.plausible+=2:P(a,c),void(a.high=!1)):(a.high&&(P(a,c),a.high=!1),void(Q(b)&&a.plausible++))}function O(a){return 32===a||a>=65&&a<=90||a>=97&&a<=122}function P(a,b){0==a.invalid++&&(a.invalidOffset=b)}function Q(a){return a<128?a>=32&&a<=126||9===a||10===a||13===a:a>=160&&a<=1983||a>=2304&&a<=3839||a>=4256&&a<=4607||a>=7680&&a<=11263||a>=11904&&a<=40959||a>=44032&&a<=55203||a>=63744&&a<=64255||a>=65072&&a<=65103||a>=65280&&a<=65519||65279===a}function R(a,b){var c,d,e=a.nulls[0]+a.nulls[1],f=0===e,g=0;return a.wide||a.length<2?null:b?null:f&&0===a.nonASCII?null:(f||(g=(a.nulls[0]-a.nulls[1])/e),c=S(a.orders[0],f),d=S(a.orders[1],f),c<0&&d<0?null:f&&c>=0&&d>=0&&a.orders[0].highs!==a.orders[1].highs?a.orders[0].highs<a.orders[1].highs?"BE":"LE":c+.1*g>=d-.1*g?"BE":"LE")}function S(a,b){if(0===a.units||a.invalid>0)return-1;var c=a.plausible/a.units;if(b){if(c<.9||a.latin/a.units>=.4)return-1}else if(c<.8)return-1;return c}function T(a,b){return va(ie.UTF32,a,b)}function U(a,b){return va(ie.UTF32BE,a,b)}function V(a,b){return va(ie.UTF32LE,a,b)}function W(){return{length:0,head:[],unit:[],last:[-1,-1,-1],pos:-1,prev:-1,result:null,error:null,be:!0,le:!0,beError:null,leError:null}}function X(a,b){for(var c,d,e=b&&b.length,f=a.last,g=a.unit,h=0;h<e;h++){if(c=b[h],(d=a.length++)<4&&(a.head[d]=c,3===d&&Bc(a.head))){a.result=!0;break}if(g[d%4]=c,d%4==3&&(a.be&&(0!==g[0]||g[1]>16||0===g[1]&&g[2]>=216&&g[2]<=223)&&(a.be=!1,a.beError=xa(d-3,"INVALID_CODE_POINT",(g[0]<<24|g[1]<<16|g[2]<<8|g[3])>>>0)),a.le&&(0!==g[3]||g[2]>16||0===g[2]&&g[1]>=216&&g[1]<=223)&&(a.le=!1,a.leError=xa(d-3,"INVALID_CODE_POINT",(g[3]<<24|g[2]<<16|g[1]<<8|g[0])>>>0))),null===a.result&&(-1!==a.pos?a.result=Y(c)||Y(a.prev):0===c&&0===f[0]&&0===f[1]?(a.pos=d-2,a.prev=f[2]):c>255&&(a.result=!1,ya(a,d,"NOT_BYTE",c))),f[2]=f[1],f[1]=f[0],f[0]=c,!1===a.result||!0===a.result&&!a.be&&!a.le)break}return a}function Y(a){return a>0&&a<=127}function Z(a){return!(a.length<4)&&(null!==a.result?a.result:-1!==a.pos&&Y(a.prev))}function $(a,b){return a.length<4?xa(-1,"TOO_SHORT"):Z(a,b)?null:a.error?a.error:-1===a.pos?xa(-1,"NO_NULL_BYTES"):xa(a.pos,"NO_ASCII_CHARACTER")}function _(a,b){var c=$(a,b);return Bc(a.head)?0===a.head[0]?null:xa(0,"BOM_MISMATCH"):c||a.beError}function aa(a,b){var c=$(a,b);return Bc(a.head)?255===a.head[0]?null:xa(0,"BOM_MISMATCH"):c||(a.be?xa(-1,"BYTE_ORDER"):a.leError)}function ba(a,b){return!(a.length<4)&&(Bc(a.head)?0===a.head[0]:Z(a,b)&&a.be)}function ca(a,b){return!(a.length<4)&&(Bc(a.head)?255===a.head[0]:Z(a,b)&&!a.be&&a.le)}function da(a){for(var b=0,c=a&&a.length,d=!0,e=!0;b+3<c&&(d||e);b+=4)d&&(0!==a[b]||a[b+1]>16)&&(d=!1),e&&(0!==a[b+3]||a[b+2]>16)&&(e=!1);return d?"BE":e?"LE":null}function ea(a,b){return va(ie.CESU8,a,b)}function fa(a,b){return va(ie.MUTF8,a,b)}function ga(a){return{valid:!0,need:0,lower:128,upper:191,lead:0,leadOffset:-1,surrogate:null,low:!1,pairs:0,modifiedNulls:0,nullOffset:-1,offset:0,error:null,allowControlChars:!(!a||!a.allowControlChars)}}
+function ha(a,b){for(var c,d=0,e=b&&b.length;d<e&&a.valid;d++)if(c=b[d],a.need>0){if(c<a.lower||c>a.upper){ia(a,a.offset+d,r(a.lead,c),c);break}if(237===a.lead&&null===a.surrogate&&(a.surrogate=c>=176?"low":c>=160?"high":"","low"===a.surrogate!==a.low)){ia(a,a.leadOffset,"LONE_SURROGATE",a.lead);break}a.lower=128,a.upper=191,0==--a.need&&ja(a)}else{if(a.low&&237!==c){ia(a,a.offset+d,"LONE_SURROGATE",c);break}if(c>255){ia(a,a.offset+d,"NOT_BYTE",c);break}9===c||10===c||13===c||c>=32&&c<=126||(c<=127&&a.allowControlChars?0===c&&-1===a.nullOffset&&(a.nullOffset=a.offset+d):(a.lead=c,a.leadOffset=a.offset+d,a.surrogate=null,192===c?(a.need=1,a.upper=128):c>=194&&c<=223?a.need=1:224===c?(a.need=2,a.lower=160):c>=225&&c<=239?a.need=2:c>=240&&c<=244?ia(a,a.offset+d,"SUPPLEMENTARY_SEQUENCE",c):ia(a,a.offset+d,q(c),c)))}return a.offset+=e,a}function ia(a,b,c,d){a.valid=!1,ya(a,b,c,d)}function ja(a){192===a.lead?a.modifiedNulls++:"high"===a.surrogate?a.low=!0:"low"===a.surrogate&&(a.low=!1,a.pairs++)}function ka(a,b){return a.valid&&(b||0===a.need&&!a.low)}function la(a,b){return ka(a,b)&&a.pairs>0&&0===a.modifiedNulls}function ma(a,b){return ka(a,b)&&a.modifiedNulls>0&&-1===a.nullOffset}function na(a,b){return a.error?a.error:!b&&a.need>0?xa(a.leadOffset,"TRUNCATED_SEQUENCE",a.lead):!b&&a.low?xa(a.leadOffset,"LONE_SURROGATE",a.lead):null}function oa(a,b){var c=na(a,b);return c||(a.modifiedNulls>0?xa(-1,"MODIFIED_NULL"):xa(-1,"NO_SURROGATE_PAIR"))}function pa(a,b){var c=na(a,b);return c||(-1!==a.nullOffset?xa(a.nullOffset,"NULL_BYTE",0):xa(-1,"NO_MODIFIED_NULL"))}function qa(a,b){return va(ie.UNICODE,a,b)}function ra(){return{valid:!0,offset:0,error:null}}function sa(a,b){for(var c,d=0,e=b&&b.length;d<e&&a.valid;d++)((c=b[d])<0||c>1114111)&&(a.valid=!1,ya(a,a.offset+d,"OUT_OF_RANGE",c));return a.offset+=e,a}function ta(a){return a.valid}function ua(a){return a.error}function va(a,b,c,d){var e=a.create(c);return a.scan(e,b),a.end(e,!!d)}function wa(a,b,c,d){return Sd.call(ie,a)?va(ie[a],b,c,d):he["is"+a](b,c)}function xa(a,b,c){return{offset:a,reason:b,value:null==c?null:c}}function ya(a,b,c,d){null===a.error&&(a.error=xa(b,c,d))}function za(a){var b=je[a.reason]||a.reason;if(null!==a.value){var c=a.value.toString(16).toUpperCase();b+=" 0x"+(c.length%2?"0"+c:c)}return a.offset>=0&&(b+=" at "+a.offset),b}function Aa(a){var b=a&&a.length;if(Bc(a))return{encoding:255===a[0]?"UTF32LE":"UTF32BE",length:4};if(b>=3&&239===a[0]&&187===a[1]&&191===a[2])return{encoding:"UTF8",length:3};if(b>=2){if(254===a[0]&&255===a[1])return{encoding:"UTF16BE",length:2};if(255===a[0]&&254===a[1])return{encoding:"UTF16LE",length:2}}return null}function Ba(a,b){return null!==a&&(a.encoding===b||a.encoding.replace(/[BL]E$/,"")===b)}function Ca(a){for(var b,c={length:a.length,bom:Aa(a),nulls:{even:0,odd:0},high:0,wide:0},d=0,e=a.length;d<e;d++)b=a[d],0===b?d%2==0?c.nulls.even++:c.nulls.odd++:b>255?c.wide++:b>=128&&c.high++;return c}function Da(a,b){var c=Aa(b);switch(a){case"ASCII":return Ea(b);case"UTF8":return Fa(b);case"UTF16":return null!==c&&Ba(c,"UTF16")?Ga(b,"UTF16LE"===c.encoding):Math.min(Ga(b,!1),Ga(b,!0));case"UTF16BE":return Ga(b,!1);case"UTF16LE":return Ga(b,!0);case"UTF32":return null!==c&&Ba(c,"UTF32")?Ha(b,"UTF32LE"===c.encoding):Math.min(Ha(b,!1),Ha(b,!0));case"UTF32BE":return Ha(b,!1);case"UTF32LE":return Ha(b,!0);case"UNICODE":return Ia(b)}return 0}function Ea(a){for(var b=0,c=0,d=a.length;c<d;c++)(a[c]>127||27===a[c])&&b++;return b}function Fa(a){for(var b,c,d,e,f,g=0,h=0,i=a.length;h<i;)if(!((b=a[h++])<128)){if(d=128,e=191,b>=194&&b<=223)c=1;else if(b>=224&&b<=239)c=2,224===b?d=160:237===b&&(e=159);else{if(!(b>=240&&b<=244)){g++;continue}c=3,240===b?d=144:244===b&&(e=143)}for(f=0;f<c;f++){if(h>=i||a[h]<d||a[h]>e){g++;break}d=128,e=191,h++}}return g}function Ga(a,b){for(var c,d=a.length%2,e=a.length-d,f=!1,g=0;g<e;g+=2){if(a[g]>255||a[g+1]>255)return e/2+d;c=b?a[g+1]<<8|a[g]:a[g]<<8|a[g+1],c>=55296&&c<=56319?(f&&d++,f=!0):c>=56320&&c<=57343?(f||d++,f=!1):(f&&d++,f=!1)}return f&&d++,d}function Ha(a,b){for(var c,d=a.length%4?1:0,e=a.length,f=0;f+3<e;f+=4)((c=b?(a[f+3]<<24|a[f+2]<<16|a[f+1]<<8|a[f])>>>0:(a[f]<<24|a[f+1]<<16|a[f+2]<<8|a[f+3])>>>0)>1114111||c>=55296&&c<=57343)&&d++;return d}function Ia(a){for(var b=0,c=0,d=a.length;c<d;c++)(a[c]<0||a[c]>1114111)&&b++;return b}function Ja(a,b,c,d){var e,f=c.nulls.even+c.nulls.odd;if(d.wide>0)return"UNICODE"===a&&b?1:0;if(c.bom)return 1;switch(a){case"UTF32":case"UTF32BE":case"UTF32LE":e=b?.9:0;break;case"UTF16":case"UTF16BE":case"UTF16LE":if(!b){e=0;break}e=.5,f>0&&(e+=.4*Math.min(1,2*Math.abs(c.nulls.even-c.nulls.odd)/d.length)),e*=1-Math.min(1,2*c.invalid/d.length);break;case"BINARY":e=b?.4:0;break;case"ASCII":e=b?.9:0,f>0&&(e*=1-Math.min(1,4*f/d.length));break;case"UTF8":e=d.high>0?.95:.85,e*=1-Math.min(1,c.invalid/Math.max(1,d.high)),b||(e*=.5),f>0&&(e*=1-Math.min(1,4*f/d.length));break;case"CESU8":case"MUTF8":e=b?.9:0;break;case"UNICODE":e=b?.1:0;break;default:e=b?.5:0}return Math.round(1e3*e)/1e3}function Ka(a,b){var c,d,e=b&&b.bom,f=nc(a,e),g=0,h=0,i=a&&a.length;if(f)return f;for(f=zd(8,Cd(a)+(e?3:0)),e&&(f[g++]=239,f[g++]=187,f[g++]=191);h<i;h++)c=a[h],c>=55296&&c<=56319&&h+1<i&&(d=a[h+1])>=56320&&d<=57343&&(c=1024*(c-55296)+d-56320+65536,h++),c>=55296&&c<=57343&&(c=tc(b,h,c)),c<128?f[g++]=c:c<2048?(f[g++]=192|c>>6&31,f[g++]=128|63&c):c<65536?(f[g++]=224|c>>12&15,f[g++]=128|c>>6&63,f[g++]=128|63&c):c<2097152&&(f[g++]=240|c>>18&15,f[g++]=128|c>>12&63,f[g++]=128|c>>6&63,f[g++]=128|63&c);return Ad(f,g)}function La(a,b){return Ma(a,b,"UTF8")}function Ma(a,b,c){var d,e,f,g,h,i,j,k="UTF8"===c,l=a&&a.length,m=null,n=0,o=0;if(Dc(b,"UTF8")&&l>=3&&239===a[0]&&187===a[1]&&191===a[2]&&(o=3),k&&(m=lc(a,o,"UTF8")))return m;for(m=zd(16,l);o<l;)if((d=a[o])<128)m[n++]=d,o++;else{if(h=128,i=191,192===d&&"MUTF8"===c)g=1,f=0,i=128;else if(d>=194&&d<=223)g=1,f=31&d;else if(d>=224&&d<=239)g=2,f=15&d,224===d?h=160:237===d&&k&&(i=159);else{if(!(d>=240&&d<=244&&k)){n=rc(m,n,b,c,o,d>255?"NOT_BYTE":d>=240&&d<=244?"SUPPLEMENTARY_SEQUENCE":q(d),d),o++;continue}g=3,f=7&d,240===d?h=144:244===d&&(i=143)}for(j=o+1;g>0;j++,g--){if(j>=l){n=rc(m,n,b,c,o,"TRUNCATED_SEQUENCE",d);break}if((e=a[j])<h||e>i){n=rc(m,n,b,c,j,r(d,e),e);break}f=f<<6|63&e,h=128,i=191}o=j,g>0||(f>=55296&&f<=57343?f<=56319&&o+2<l&&237===a[o]&&a[o+1]>=176&&a[o+1]<=191&&a[o+2]>=128&&a[o+2]<=191?(m[n++]=f,m[n++]=56320|(15&a[o+1])<<6|63&a[o+2],o+=3):n=rc(m,n,b,c,o-3,"LONE_SURROGATE",d):f<=65535?m[n++]=f:(f-=65536,m[n++]=55296+(f>>10),m[n++]=f%1024+56320))}return Ad(m,n)}function Na(a,b){if(b&&b.bom){var c=b.bom;return vd(c)||(c="BE"),"B"===c.charAt(0).toUpperCase()?Qa(a,!1,!0,b):Qa(a,!0,!0,b)}return Qa(a,!1,!1,b)}function Oa(a,b){return Qa(a,!1,!(!b||!b.bom),b)}function Pa(a,b){return Qa(a,!0,!(!b||!b.bom),b)}function Qa(a,b,c,d){var e,f,g=a&&a.length,h=zd(8,2*g+2),i=0,j=0;for(c&&(i=Ra(h,i,65279,b));j<g;j++){if((e=a[j])>=55296&&e<=57343)f=a[j+1],e<=56319&&f>=56320&&f<=57343?(i=Ra(h,i,e,b),e=f,j++):e=tc(d,j,e);else if(e>65535)continue;i=Ra(h,i,e,b)}return Ad(h,i)}function Ra(a,b,c,d){return d?(a[b++]=255&c,a[b++]=c>>8&255):(a[b++]=c>>8&255,a[b++]=255&c),b}function Sa(a,b){return jc(a,!1,Dc(b,"UTF16BE")?Cc(a):0,b,"UTF16BE")}function Ta(a,b){return jc(a,!0,Dc(b,"UTF16LE")?Cc(a):0,b,"UTF16LE")}function Ua(a,b){var c,d=Cc(a);return c=d?255===a[0]:"LE"===K(a),jc(a,c,Dc(b,"UTF16")?d:0,b,"UTF16")}function Va(a,b){var c,d,e=a&&a.length,f=zd(8,e+4),g=0,h=0,i=!1,j=!0,k=Dc(b,"UTF16");for(b&&b.bom&&(f[g++]=254,f[g++]=255);h+1<e;){if(c=a[h++],d=a[h++],j&&2===h){if(j=!1,254===c&&255===d)i=!1;else{if(255!==c||254!==d){i="LE"===K(a),h=0;continue}i=!0}if(k)continue}i?(f[g++]=d,f[g++]=c):(f[g++]=c,f[g++]=d)}return h<e&&(g=rc(f,g,b,"UTF16",h,"TRUNCATED_SEQUENCE",a[h],[255,253])),Ad(f,g)}function Wa(a,b){var c,d=!1;if(b&&b.bom){var e=b.bom;vd(e)||(e="BE"),"B"===e.charAt(0).toUpperCase()?c=[254,255]:(c=[255,254],d=!0)}var f=a&&a.length,g=zd(8,f+4),h=0,i=0;Dc(b,"UTF16BE")&&(i=Cc(a)),c&&(g[h++]=c[0],
+g[h++]=c[1]);for(var j,k;i+1<f;)j=a[i++],k=a[i++],d?(g[h++]=k,g[h++]=j):(g[h++]=j,g[h++]=k);return i<f&&(h=rc(g,h,b,"UTF16BE",i,"TRUNCATED_SEQUENCE",a[i],d?[253,255]:[255,253])),Ad(g,h)}function Xa(a,b){var c,d,e=a&&a.length,f=zd(8,e+4),g=0,h=0,i=!1,j=!0,k=Dc(b,"UTF16");for(b&&b.bom&&(f[g++]=255,f[g++]=254);h+1<e;){if(c=a[h++],d=a[h++],j&&2===h){if(j=!1,254===c&&255===d)i=!1;else{if(255!==c||254!==d){i="LE"===K(a),h=0;continue}i=!0}if(k)continue}i?(f[g++]=c,f[g++]=d):(f[g++]=d,f[g++]=c)}return h<e&&(g=rc(f,g,b,"UTF16",h,"TRUNCATED_SEQUENCE",a[h],[253,255])),Ad(f,g)}function Ya(a,b){var c,d=!1;if(b&&b.bom){var e=b.bom;vd(e)||(e="BE"),"B"===e.charAt(0).toUpperCase()?c=[254,255]:(c=[255,254],d=!0)}var f=a&&a.length,g=zd(8,f+4),h=0,i=0;Dc(b,"UTF16LE")&&(i=Cc(a)),c&&(g[h++]=c[0],g[h++]=c[1]);for(var j,k;i+1<f;)j=a[i++],k=a[i++],d?(g[h++]=j,g[h++]=k):(g[h++]=k,g[h++]=j);return i<f&&(h=rc(g,h,b,"UTF16LE",i,"TRUNCATED_SEQUENCE",a[i],d?[253,255]:[255,253])),Ad(g,h)}function Za(a,b){return _a(a,b,"UTF16BE",[255,254])}function $a(a,b){return _a(a,b,"UTF16LE",[254,255])}function _a(a,b,c,d){var e,f,g=a&&a.length,h=zd(8,g+4),i=0,j=0;for(b&&b.bom&&(h[i++]=d[0],h[i++]=d[1]),Dc(b,c)&&(j=Cc(a));j+1<g;)e=a[j++],f=a[j++],h[i++]=f,h[i++]=e;return j<g&&(i=rc(h,i,b,c,j,"TRUNCATED_SEQUENCE",a[j],255===d[0]?[253,255]:[255,253])),Ad(h,i)}function ab(a,b){return Na(La(a,b),b)}function bb(a,b){return Ka(Ua(a,b),b)}function cb(a,b){return Oa(La(a,b),b)}function db(a,b){return Ka(Sa(a,b),b)}function eb(a,b){return Pa(La(a,b),b)}function fb(a,b){return Ka(Ta(a,b),b)}function gb(a,b){if(b&&b.bom){var c=b.bom;return vd(c)||(c="BE"),"B"===c.charAt(0).toUpperCase()?jb(a,!1,!0,b):jb(a,!0,!0,b)}return jb(a,!1,!1,b)}function hb(a,b){return jb(a,!1,!(!b||!b.bom),b)}function ib(a,b){return jb(a,!0,!(!b||!b.bom),b)}function jb(a,b,c,d){var e,f=a&&a.length,g=zd(8,4*f+4),h=0,i=0;for(c&&(b?(g[h++]=255,g[h++]=254,g[h++]=0,g[h++]=0):(g[h++]=0,g[h++]=0,g[h++]=254,g[h++]=255));i<f;)e=Ec(a,i),e>=55296&&e<=57343&&(e=tc(d,i,e)),i+=e>65535?2:1,b?(g[h++]=255&e,g[h++]=e>>8&255,g[h++]=e>>16&255,g[h++]=e>>24&255):(g[h++]=e>>24&255,g[h++]=e>>16&255,g[h++]=e>>8&255,g[h++]=255&e);return Ad(g,h)}function kb(a,b){return ic(a,!1,Dc(b,"UTF32BE")?Bc(a):0,b,"UTF32BE")}function lb(a,b){return ic(a,!0,Dc(b,"UTF32LE")?Bc(a):0,b,"UTF32LE")}function mb(a,b){var c=a&&a.length,d=!1,e=Bc(a);return e?d=255===a[0]:c>=4&&(d="LE"===da(a)),ic(a,d,Dc(b,"UTF32")?e:0,b,"UTF32")}function nb(a,b){return gb(La(a,b),b)}function ob(a,b){return Ka(mb(a,b),b)}function pb(a,b){return hb(La(a,b),b)}function qb(a,b){return Ka(kb(a,b),b)}function rb(a,b){return ib(La(a,b),b)}function sb(a,b){return Ka(lb(a,b),b)}function tb(a,b){for(var c,d=a&&a.length,e=zd(16,d),f=0,g=0;g<d;g++)c=a[g],c<=127?e[f++]=c:f=rc(e,f,b,"ASCII",g,c>255?"NOT_BYTE":"NON_ASCII_BYTE",c);return Ad(e,f)}function ub(a,b){for(var c,d,e,f,g,h=a&&a.length,i=zd(8,h),j=0,k=0;k<h;k++)if((c=a[k])<=127)i[j++]=c;else for(e=k,c>=55296&&c<=56319&&(d=a[k+1])>=56320&&d<=57343&&(c=1024*(c-55296)+d-56320+65536,k++),f=bc(b,null,c,e,"ASCII"),i=Bd(i,j,f.length+h-k),g=0;g<f.length;g++)i[j++]=f[g];return Ad(i,j)}function vb(a,b){return zb(a,b,!1)}function wb(a,b){return Ma(a,b,"CESU8")}function xb(a,b){return zb(a,b,!0)}function yb(a,b){return Ma(a,b,"MUTF8")}function zb(a,b,c){var d,e,f=a&&a.length,g=zd(8,3*f+3),h=0,i=0;for(b&&b.bom&&(g[h++]=239,g[h++]=187,g[h++]=191);i<f;i++){if((d=a[i])>=55296&&d<=57343)e=a[i+1],d<=56319&&e>=56320&&e<=57343?(h=Ab(g,h,d),d=e,i++):d=tc(b,i,d);else if(d>65535&&d<=1114111)g=Bd(g,h,3*(f-i)+3),d-=65536,h=Ab(g,h,55296+(d>>10)),d=56320+(1023&d);else if(d>65535)continue;0===d&&c?(g[h++]=192,g[h++]=128):h=Ab(g,h,d)}return Ad(g,h)}function Ab(a,b,c){return c<128?a[b++]=c:c<2048?(a[b++]=192|c>>6&31,a[b++]=128|63&c):(a[b++]=224|c>>12&15,a[b++]=128|c>>6&63,a[b++]=128|63&c),b}function Bb(a,b){return vb(La(a,b),b)}function Cb(a,b){return Ka(wb(a,b),b)}function Db(a,b){return vb(Ua(a,b),b)}function Eb(a,b){return Na(wb(a,b),b)}function Fb(a,b){return vb(Sa(a,b),b)}function Gb(a,b){return Oa(wb(a,b),b)}function Hb(a,b){return vb(Ta(a,b),b)}function Ib(a,b){return Pa(wb(a,b),b)}function Jb(a,b){return xb(La(a,b),b)}function Kb(a,b){return Ka(yb(a,b),b)}function Lb(a,b){return xb(Ua(a,b),b)}function Mb(a,b){return Na(yb(a,b),b)}function Nb(a,b){return xb(Sa(a,b),b)}function Ob(a,b){return Oa(yb(a,b),b)}function Pb(a,b){return xb(Ta(a,b),b)}function Qb(a,b){return Pa(yb(a,b),b)}function Rb(a,b){return xb(wb(a,b),b)}function Sb(a,b){return vb(yb(a,b),b)}function Tb(a,b,c){var d=b&&b.length;if(128!==d&&256!==d)throw new Error("Invalid table of encoding: "+a);var e,f,g=[],h={},i=256-d,j=!0;for(e=0;e<i;e++)g[e]=e;for(e=0;e<d;e++)g[i+e]=b[e];for(e=32;e<127&&j;e++)j=g[e]===e;for(e=255;e>=0;e--)65533!==(f=g[e])&&(h[f]=e);return{decodes:g,encodes:h,ascii:j,nl:null==c?-1:c}}function Ub(a,b){if(Vb(a))throw new Error("Cannot replace the built-in encoding: "+a);if(b.alias)for(var c=0;c<b.alias.length;c++)if(Vb(b.alias[c]))throw new Error("Cannot replace the built-in encoding: "+b.alias[c]);Wb(a);var d={};b.alias&&(d.alias=b.alias),b.decode&&(ke[a+"ToUNICODE"]=b.decode),b.encode&&(ke["UNICODETo"+a]=b.encode),b.scanner&&(Xb(a,b.scanner),null!=b.order&&(d.order=b.order)),de[a]=d,me[a]=!0,Gc(),Fc(ge.orders)}function Vb(a){var b=gd(a);return null!==b&&!Sd.call(me,b)}function Wb(a){if(Sd.call(me,a)){delete de[a],delete me[a],delete le[a],delete ie[a],delete he["is"+a];for(var b,c=yd(ke),d=a+"To",e="To"+a,f=0,g=c.length;f<g;f++)b=c[f],b.slice(0,d.length)!==d&&b.slice(-e.length)!==e||delete ke[b]}}function Xb(a,b){ie[a]=b,he["is"+a]=function(a,c){return va(b,a,c)}}function Yb(a){return{create:function(a){return{chunks:[],length:0,options:a}},scan:Zb,end:function(b){return!!a($b(b),b.options)},explain:function(){return xa(-1,"REJECTED")}}}function Zb(a,b){var c=b&&b.length;return c>0&&(a.chunks[a.chunks.length]=b,a.length+=c),a}function $b(a){var b=a.chunks;if(1===b.length)return b[0];var c,d,e,f,g=[];for(c=0;c<b.length;c++)for(f=b[c],d=0,e=f.length;d<e;d++)g[g.length]=f[d];return g}function _b(a,b,c){for(var d,e,f=le[c],g=f.decodes,h=b&&b.nlToLF?f.nl:-1,i=!(!b||!b.c1Controls),j=a&&a.length,k=zd(16,j),l=0,m=0;m<j;m++)d=a[m],e=d===h?10:g[d],null==e?l=rc(k,l,b,c,m,"NOT_BYTE",d):65533===e?i&&d>=128&&d<=159?k[l++]=d:l=rc(k,l,b,c,m,"UNDEFINED_BYTE",d):k[l++]=e;return Ad(k,l)}function ac(a,b,c){for(var d,e,f,g,h,i=le[c],j=i.encodes,k=b&&b.nlToLF?i.nl:-1,l=a&&a.length,m=zd(8,l),n=0,o=0;o<l;o++)if(10!==(d=a[o])||-1===k)if(Sd.call(j,d))m[n++]=j[d];else for(f=o,d>=55296&&d<=56319&&(e=a[o+1])>=56320&&e<=57343&&(d=1024*(d-55296)+e-56320+65536,o++),g=bc(b,j,d,f,c),m=Bd(m,n,g.length+l-o),h=0;h<g.length;h++)m[n++]=g[h];else m[n++]=k;return Ad(m,n)}function bc(b,c,d,e,f){var g=b&&b.fallback,h=[];if("function"==typeof g&&(g=g(d,e)),"number"==typeof g||vd(g)||(g=Pd(Od)),"number"==typeof g){if(!(g>=0&&g<=255&&g%1==0))throw d=g>=0&&g%1==0?g:null,new a(f,xa(e,"INVALID_FALLBACK",d));h[0]=g}else if(vd(g))for(var i=0,j=g.length;i<j;i++)d=g.charCodeAt(i),(null===c?d>127:!Sd.call(c,d))&&(d>=55296&&d<=56319&&i+1<j&&(d=g.charCodeAt(i+1))>=56320&&d<=57343&&i++,d=Od),null===c?h[h.length]=d:Sd.call(c,d)&&(h[h.length]=c[d]);return h}function cc(a){return{create:function(b){return dc(a,b)},scan:ec,end:gc,explain:hc}}function dc(a,b){var c=le[a];return{decodes:c.decodes,ascii:c.ascii,nl:c.nl,letters:0,spaces:0,valid:!0,offset:0,error:null,allowControlChars:!(!b||!b.allowControlChars)}}function ec(a,b){for(var c,d,e=a.decodes,f=0,g=b&&b.length;f<g&&a.valid;f++)c=b[f],d=c===a.nl?10:e[c],32===d?(a.spaces++,a.letters++):d>=48&&d<=57||d>=65&&d<=90||d>=97&&d<=122?a.letters++:null==d?fc(a,a.offset+f,"NOT_BYTE",c):65533===d?fc(a,a.offset+f,"UNDEFINED_BYTE",c):d>=128&&d<=159?fc(a,a.offset+f,"CONTROL_CHARACTER",c):(d<32||127===d)&&!a.allowControlChars&&9!==d&&10!==d&&13!==d&&fc(a,a.offset+f,"CONTROL_CHARACTER",c);return a.offset+=g,a}function fc(a,b,c,d){a.valid=!1,ya(a,b,c,d)}function gc(a){
+return a.valid&&(a.ascii||a.spaces>0&&2*a.letters>=a.offset)}function hc(a){return a.error||xa(-1,"IMPLAUSIBLE")}function ic(a,b,c,d,e){for(var f,g=a&&a.length,h=zd(16,1+(g>>1)),i=0,j=c||0;j+3<g;j+=4)f=b?(a[j+3]<<24|a[j+2]<<16|a[j+1]<<8|a[j])>>>0:(a[j]<<24|a[j+1]<<16|a[j+2]<<8|a[j+3])>>>0,f>=55296&&f<=57343||f>1114111?i=rc(h,i,d,e,j,"INVALID_CODE_POINT",f):f<=65535?h[i++]=f:(f-=65536,h[i++]=55296+(f>>10),h[i++]=f%1024+56320);return j<g&&(i=rc(h,i,d,e,j,"TRUNCATED_SEQUENCE",a[j])),Ad(h,i)}function jc(a,b,c,d,e){var f,g,h=a&&a.length,i=c||0,j=lc(a,i,b?"UTF16LE":"UTF16BE"),k=0;if(j)return j;for(j=zd(16,1+(h>>1));i+1<h;i+=2)if((f=kc(a,i,b))>=55296&&f<=57343){if(f<=56319&&i+3>=h){k=rc(j,k,d,e,i,"TRUNCATED_SEQUENCE",f),i=h;break}g=kc(a,i+2,b),f<=56319&&g>=56320&&g<=57343?(j[k++]=f,j[k++]=g,i+=2):k=rc(j,k,d,e,i,"LONE_SURROGATE",f)}else j[k++]=f;return i<h&&(k=rc(j,k,d,e,i,"TRUNCATED_SEQUENCE",a[i])),Ad(j,k)}function kc(a,b,c){return c?(255&a[b+1])<<8|255&a[b]:(255&a[b])<<8|255&a[b+1]}function lc(a,b,c){var d=a&&a.length;if(!(ce&&d>=be))return null;var e=mc(c),f=e&&qc(a);if(!f)return null;try{return f=b?f.subarray(b):f,pc(e.decode(f))}catch(a){return null}}function mc(a){if(!Zd)return null;if(!Sd.call(oe,a)){var b=ne[a],c=null;oe[a]=null;try{c=new Zd(b.label,{fatal:!0,ignoreBOM:!0}),c.decode(new Uint8Array(b.invalid)),c=null}catch(a){}oe[a]=c}return oe[a]}function nc(a,b){var c=a&&a.length;if(!(ce&&c>=be))return null;if(!$d&&!_d)return null;var d=oc(a);if(null===d)return null;if(b&&(d="\ufeff"+d),$d)return pe||(pe=new $d),pe.encode(d);var e=Buffer.from(d,"utf8");return new Uint8Array(e.buffer,e.byteOffset,e.length)}function oc(a){for(var b,c,d=a.length,e=0;e<d;e++){if((65535&(b=a[e]))!==b)return null;if(b>=55296&&b<=57343){if(c=a[e+1],b>56319||(65535&c)!==c||c<56320||c>57343)return null;e++}}var f=ae&&mc("UTF16LE");return f?f.decode(a instanceof Uint16Array?a:new Uint16Array(a)):Ed(a)}function pc(a){if(!_d||!ae)return Dd(a);var b=Buffer.alloc(2*a.length);return b.write(a,"utf16le"),new Uint16Array(b.buffer,b.byteOffset,a.length)}function qc(a){if(a instanceof Uint8Array)return a;for(var b,c=a.length,d=new Uint8Array(c),e=0;e<c;e++){if((255&(b=a[e]))!==b)return null;d[e]=b}return d}function rc(b,c,d,e,f,g,h,i){var j=sc(d);if("fatal"===j)throw new a(e,xa(f,g,h));if("replace"===j){i=i||[65533];for(var k=0,l=i.length;k<l;k++)b[c++]=i[k]}return c}function sc(a){var b=a&&a.errors;if(null==b)return"replace";if("replace"!==(b=(""+b).toLowerCase())&&"fatal"!==b&&"ignore"!==b)throw new Error("Unknown errors option: "+a.errors);return b}function tc(b,c,d){var e=uc(b);if("fatal"===e)throw new a("UNICODE",xa(c,"LONE_SURROGATE",d));return"replace"===e?65533:d}function uc(a){var b=a&&a.loneSurrogates;if(null==b)return"wtf8";if("wtf8"!==(b=(""+b).toLowerCase())&&"replace"!==b&&"fatal"!==b)throw new Error("Unknown loneSurrogates option: "+a.loneSurrogates);return b}function vc(a){var b=a&&a.newline;if(null==b)return null;switch((""+b).toUpperCase()){case"LF":case"\n":return[10];case"CRLF":case"\r\n":return[13,10];case"CR":case"\r":return[13]}throw new Error("Unknown newline option: "+b)}function wc(a,b){return("UNICODE"===a||Sd.call(ke,a+"ToUNICODE"))&&("UNICODE"===b||Sd.call(ke,"UNICODETo"+b))}function xc(a,b,c){return a===b&&!(!c.bom&&!c.stripBOM)&&/^(UTF(8|16|32)|CESU8|MUTF8)/.test(b)}function yc(a,b,c,d,e){var f=a;return"UNICODE"!==b&&(f=ke[b+"ToUNICODE"](a,d)),null!==e&&(f=zc(f,e)),"UNICODE"!==c?ke["UNICODETo"+c](f,d):f}function zc(a,b){for(var c,d,e=a&&a.length,f=zd(16,e*b.length),g=0,h=0;h<e;h++)if(13===(c=a[h])||10===c)for(13===c&&10===a[h+1]&&h++,d=0;d<b.length;d++)f[g++]=b[d];else f[g++]=c;return Ad(f,g)}function Ac(a,b){for(var c,d,e=a&&a.length,f=b||0;f<e;f++)if((c=a[f])>=55296&&c<=57343){if(d=a[f+1],!(c<=56319&&d>=56320&&d<=57343))return f;f++}return-1}function Bc(a){return(a&&a.length)>=4&&(0===a[0]&&0===a[1]&&254===a[2]&&255===a[3]||255===a[0]&&254===a[1]&&0===a[2]&&0===a[3])?4:0}function Cc(a){return(a&&a.length)>=2&&(254===a[0]&&255===a[1]||255===a[0]&&254===a[1])?2:0}function Dc(a,b){return a&&null!=a.stripBOM?!!a.stripBOM:"UTF8"!==b}function Ec(a,b){var c,d=a[b];return d>=55296&&d<=56319&&b+1<a.length&&(c=a[b+1])>=56320&&c<=57343?1024*(d-55296)+c-56320+65536:d}function Fc(a){var b,c,d=yd(de);a.length=0;for(var e=0,f=d.length;e<f;e++)b=d[e],null!=(c=de[b])&&void 0!==c.order&&(a[a.length]=b);return a.sort(function(a,b){return de[a].order-de[b].order}),a}function Gc(){var a,b,c,d,e,f,g=ee,h=yd(g);for(a=0,b=h.length;a<b;a++)delete g[h[a]];for(h=yd(de),a=0,b=h.length;a<b;a++)if(d=h[a],g[d]=d,null!=(f=de[d])&&f.alias)for(c=0;c<f.alias.length;c++)e=Hc(f.alias[c]),Sd.call(de,e)||Sd.call(g,e)||(g[e]=d)}function Hc(a){return(""+a).toUpperCase().replace(/[^A-Z0-9]+/g,"")}function Ic(a){var b=gd(a);if(null===b)throw Jc(a);return b}function Jc(b){return new a(b,xa(-1,"UNKNOWN_ENCODING"))}function Kc(a){var b=a;td(a)&&!ud(a)?b=a.encodings:a={},b=sd(b),this.encodings=[],this.scanners=[],this.states=[],this.length=0,this.ended=!1;for(var c,d,e,f,g,h=[],i=0,j=b.length;i<j;i++)if(c=b[i],null!==(d=gd(c))){if(!Sd.call(ie,d))throw new Error("Undefined encoding: "+c);for(e=ie[d],f=-1,g=0;g<h.length;g++)if(h[g]===e.create){f=g;break}-1===f&&(f=h.length,h[f]=e.create,this.states[f]=e.create(a)),this.encodings[this.encodings.length]=d,this.scanners[this.scanners.length]={scanner:e,state:f}}}function Lc(a,b){var c=Ic(a);if("UNICODE"!==c&&!Sd.call(ke,c+"ToUNICODE"))throw new Error("Cannot decode the encoding: "+a);Tc(this,c,b,{stripBOM:!1}),this.input=c,this.output="UNICODE",this.maxBytes=b&&b.maxBytes>0?b.maxBytes:qe}function Mc(a,b){var c=Ic(a);if("UNICODE"!==c&&!Sd.call(ke,"UNICODETo"+c))throw new Error("Cannot encode the encoding: "+a);uc(b),Tc(this,c,b,{bom:!1}),this.input="UNICODE",this.output=c}function Nc(a){if(a=a||{},sc(a),uc(a),this.options=a,this.to=gd(a.to),null===this.to&&!a.passthrough)throw Jc(a.to);this.from=null,this.newline=vc(a),this.maxBytes=a.maxBytes>0?a.maxBytes:qe,this.chunks=[],this.length=0,this.pending=[],this.decoder=null,this.encoder=null,this.ended=!1,qd(a.from)||this._start(gd(a.from))}function Oc(a){var b=a.options.type;return null==b&&"UNICODE"===a.to?"string":null!=b&&"string"===(""+b).toLowerCase()?"string":null}function Pc(a,b,c){0!==b.length&&(c?a.push(Ed(b)):a.push(Buffer.from(b)))}function Qc(a,b,c){0!==b.length&&(c?a.enqueue(Ed(b)):a.enqueue(new Uint8Array(b)))}function Rc(){if("undefined"!=typeof module&&module.exports&&"function"==typeof require)try{return require("stream")}catch(a){}return null}function Sc(a){var b,c,d,e,f=[];for(c=0;c<a.length;c++)for(b=a[c],d=0,e=b.length;d<e;d++)f[f.length]=b[d];return f}function Tc(a,b,c,d){c=c||{},sc(c);var e=c.fallback;"function"==typeof e&&(c=ad(c,{fallback:function(b,c){return e(b,a.offset+c)}})),a.encoding=b,a.options=c,a.nextOptions=ad(c,d),a.pending=[],a.offset=0,a.ended=!1}function Uc(b,c,d){if(b.ended)throw new Error((b instanceof Lc?"Decoder":"Encoder")+" has already ended");var e=Wc(b.pending,c),f=e.length;d||(Vc(b,e)?f=0:f-=Xc(b.input,e)),b.pending=Qd.call(e,f),b.ended=d;var g=[];if(f>0||d&&0===b.offset){e=pd(e,0,f);try{g=b._convert(e,0===b.offset?b.options:b.nextOptions)}catch(c){if(c instanceof a&&b.offset>0)throw new a(c.encoding,xa(c.offset+b.offset,c.reason,c.value));throw c}b.offset+=f}return nd(g,b.options.type,b.output)}function Vc(a,b){var c=a.input;return!(a.offset>0||"UTF16"!==c&&"UTF32"!==c)&&(("UTF16"===c?!Cc(b):!Bc(b))&&b.length<a.maxBytes)}function Wc(a,b){if(b=xd(b),null==b&&(b=[]),0===a.length)return b;for(var c=a.slice(),d=0,e=b.length;d<e;d++)c[c.length]=b[d];return c}function Xc(a,b){var c,d=b.length;switch(a){case"UTF8":case"CESU8":case"MUTF8":return Yc(b,a);case"UTF16":return Xc($c(a,b),b);case"UTF16BE":case"UTF16LE":return c=d-d%2-2,c>=0&&(c=kc(b,c,"UTF16LE"===a)),d%2+(c>=55296&&c<=56319?2:0);case"UTF32":case"UTF32BE":case"UTF32LE":return d%4;case"UNICODE":return c=b[d-1],c>=55296&&c<=56319?1:0}return 0}function Yc(a,b){var c=Zc(a,b),d=a.length-c-3
+;return"UTF8"!==b&&d>=0&&237===a[d]&&a[d+1]>=160&&a[d+1]<=175&&a[d+2]>=128&&a[d+2]<=191&&(c+=3),c}function Zc(a,b){for(var c,d,e=a.length,f=Math.max(e-3,0),g=e-1;g>=f&&!((c=a[g])<128||c>191);g--);if(g<f)return 0;if(c>=194&&c<=223||192===c&&"MUTF8"===b)d=2;else if(c>=224&&c<=239)d=3;else{if(!(c>=240&&c<=244&&"UTF8"===b))return 0;d=4}return e-g<d?e-g:0}function $c(a,b){var c;if("UTF16"===a)c=Cc(b)?255===b[0]:"LE"===K(b);else{if("UTF32"!==a)return a;c=Bc(b)?255===b[0]:b.length>=4&&"LE"===da(b)}return a+(c?"LE":"BE")}function _c(a,b){var c=b.bom;return"UTF16"!==a&&"UTF32"!==a?a:c&&vd(c)&&"B"!==c.charAt(0).toUpperCase()?a+"LE":a+"BE"}function ad(a,b){var c,d={};for(c in a)Sd.call(a,c)&&(d[c]=a[c]);for(c in b)Sd.call(b,c)&&(d[c]=b[c]);return d}function bd(a){var b,c,d;if(null===se){se={};for(b in re)if(Sd.call(re,b))for(c=re[b].labels,d=0;d<c.length;d++)se[c[d]]=b}return a=(""+a).replace(/^[\t\n\f\r ]+|[\t\n\f\r ]+$/g,"").toLowerCase(),Sd.call(se,a)?se[a]:null}function cd(a,b){a=void 0===a?"utf-8":a,b=b||{};var c=bd(a);if(null===c||!Sd.call(ke,re[c].encoding+"ToUNICODE"))throw new RangeError("The encoding label provided ('"+a+"') is invalid.");this.encoding=c,this.fatal=!!b.fatal,this.ignoreBOM=!!b.ignoreBOM,this._decoder=null,this._bomSeen=!1}function dd(){this.encoding="utf-8"}function ed(a){if(null==a)return[];if(Td){if(wd(a))return new Uint8Array(a);if(ArrayBuffer.isView(a))return new Uint8Array(a.buffer,a.byteOffset,a.byteLength)}if(!ud(a))throw new TypeError("The provided value is not of type '(ArrayBuffer or ArrayBufferView)'.");return a}function fd(a,b,c){return{encoding:a,source:b,label:c}}function gd(a){if(!a)return null;var b=Hc(a);return Sd.call(ee,b)?ee[b]:null}function hd(a){if(!a)return null;var b=/;\s*charset\s*=\s*(?:"([^"]*)"|([^;\s]+))/i.exec(a);return b?b[1]||b[2]||null:null}function id(a){for(var b,c,d,e=/<!--[\s\S]*?-->|<meta[\s\/]((?:[^>"']|"[^"]*"|'[^']*')*)>|<[!\/?a-zA-Z](?:[^>"']|"[^"]*"|'[^']*')*>/gi;null!==(b=e.exec(a));)if(null!=b[1]&&(c=kd(b[1]),d=null,c.charset?d=c.charset:c["http-equiv"]&&"content-type"===c["http-equiv"].toLowerCase()&&(d=jd(c.content)),gd(d)))return d;return null}function jd(a){var b=/charset\s*=\s*(?:"([^"]*)"|'([^']*)'|([^;\s"']+))/i.exec(a||"");return b?b[1]||b[2]||b[3]||null:null}function kd(a){for(var b,c,d=/([^\s=\/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g,e={};null!==(b=d.exec(a));)c=b[1].toLowerCase(),Sd.call(e,c)||(e[c]=b[2]||b[3]||b[4]||"");return e}function ld(a){var b=/^<\?xml\s[^>]*?encoding\s*=\s*(?:"([^"]*)"|'([^']*)')/.exec(a);return b?b[1]||b[2]||null:null}function md(a){var b=/^@charset "([^"]*)";/.exec(a);return b?b[1]||null:null}function nd(a,b,c){switch(b=(""+b).toLowerCase()){case"string":return Ed(a);case"uint16array":return Id(a,16);case"arraybuffer":return Kd(Id(a,"UNICODE"===c?16:8));case"uint8array":return od(b,c),Id(a,8);case"buffer":if(od(b,c),!_d)throw new Error("Buffer is not available");return Buffer.from(a);case"base64":return od(b,c),Md(a);case"hex":return od(b,c),Ld(a);case"array":default:return Jd(a)}}function od(a,b){if("UNICODE"===b)throw new Error("Cannot return UNICODE array as "+a)}function pd(a,b,c){return"function"==typeof a.subarray?a.subarray(b,c):Qd.call(a,b,c)}function qd(a){return!(null!=a&&vd(a)&&"AUTO"!==a.toUpperCase()&&!~a.indexOf(","))}function rd(a,b){a=sd(a);for(var c=0,d=a.length;c<d;c++)if(gd(a[c])===b)return!0;return!1}function sd(a){return null==a?ge.orders:vd(a)?(a=a.toUpperCase(),"AUTO"===a?ge.orders:~a.indexOf(",")?a.split(/\s*,\s*/):[a]):a}function td(a){var b=typeof a;return"function"===b||"object"===b&&!!a}function ud(a){return Array.isArray?Array.isArray(a):"[object Array]"===Rd.call(a)}function vd(a){return"string"==typeof a||"[object String]"===Rd.call(a)}function wd(a){var b=Rd.call(a);return"[object ArrayBuffer]"===b||"[object SharedArrayBuffer]"===b}function xd(a){if(vd(a))return Dd(a);if(Td&&null!=a){if(wd(a))return new Uint8Array(a);if("[object DataView]"===Rd.call(a))return new Uint8Array(a.buffer,a.byteOffset,a.byteLength)}return a}function yd(a){if(Object.keys)return Object.keys(a);var b=[];for(var c in a)Sd.call(a,c)&&(b[b.length]=c);return b}function zd(a,b){if(!Td)return new Array(b);switch(a){case 8:return new Uint8Array(b);case 16:return new Uint16Array(b)}}function Ad(a,b){return Td?a.subarray(0,b):(a.length=b,a)}function Bd(a,b,c){if(!Td||b+c<=a.length)return a;var d=new a.constructor(Math.max(2*a.length,b+c));return d.set(a.subarray(0,b)),d}function Cd(a){for(var b,c,d=0,e=a&&a.length,f=0;f<e;f++)b=a[f],b<128?d+=1:b<2048?d+=2:b>=55296&&b<=56319&&(c=a[f+1])>=56320&&c<=57343?(d+=4,f++):b<65536?d+=3:b<2097152&&(d+=4);return d}function Dd(a){for(var b=a.length,c=zd(16,b),d=0;d<b;d++)c[d]=a.charCodeAt(d);return c}function Ed(a){if(Ud&&Vd){var b=a&&a.length;if(b<Wd){if(Xd)return Pd.apply(null,a);if(null===Xd)try{var c=Pd.apply(null,a);return b>Wd&&(Xd=!0),c}catch(a){Xd=!1}}}return Fd(a)}function Fd(a){for(var b,c="",d=a&&a.length,e=0;e<d;){if(b=a.subarray?a.subarray(e,e+Wd):a.slice(e,e+Wd),e+=Wd,!Xd){if(null===Xd)try{c+=Pd.apply(null,b),b.length>Wd&&(Xd=!0);continue}catch(a){Xd=!1}return Gd(a)}c+=Pd.apply(null,b)}return c}function Gd(a){for(var b="",c=a&&a.length,d=0;d<c;d++)b+=Pd(a[d]);return b}function Hd(a){for(var b=[],c=a&&a.length,d=0;d<c;d++)b[d]=a.charCodeAt(d);return b}function Id(a,b){if(Td){var c=8===b?Uint8Array:Uint16Array;return a instanceof c?a:new c(a)}if(ud(a))return a;for(var d=a&&a.length,e=[],f=0;f<d;f++)e[f]=a[f];return e}function Jd(a){if(ud(a))return a;for(var b=a.length,c=new Array(b),d=0;d<b;d++)c[d]=a[d];return c}function Kd(a){return ud(a)?a:0===a.byteOffset&&a.byteLength===a.buffer.byteLength?a.buffer:new a.constructor(a).buffer}function Ld(a){for(var b,c=Hd("0123456789abcdef"),d=a&&a.length,e=zd(16,2*d),f=0,g=0;g<d;g++)b=255&a[g],e[f++]=c[b>>4],e[f++]=c[15&b];return Ed(e)}function Md(a){var b,c,d,e,f,g;for(d=a&&a.length,c=0,b=[];c<d;){if(e=a[c++],c==d){b[b.length]=ue[e>>2],b[b.length]=ue[(3&e)<<4],b[b.length]=we,b[b.length]=we;break}if(f=a[c++],c==d){b[b.length]=ue[e>>2],b[b.length]=ue[(3&e)<<4|(240&f)>>4],b[b.length]=ue[(15&f)<<2],b[b.length]=we;break}g=a[c++],b[b.length]=ue[e>>2],b[b.length]=ue[(3&e)<<4|(240&f)>>4],b[b.length]=ue[(15&f)<<2|(192&g)>>6],b[b.length]=ue[63&g]}return Ed(b)}function Nd(a){var b,c,d,e,f,g,h;for(g=a&&a.length,f=0,h=[];f<g;){do{b=ve[255&a.charCodeAt(f++)]}while(f<g&&-1==b);if(-1==b)break;do{c=ve[255&a.charCodeAt(f++)]}while(f<g&&-1==c);if(-1==c)break;h[h.length]=b<<2|(48&c)>>4;do{if(61==(d=255&a.charCodeAt(f++)))return h;d=ve[d]}while(f<g&&-1==d);if(-1==d)break;h[h.length]=(15&c)<<4|(60&d)>>2;do{if(61==(e=255&a.charCodeAt(f++)))return h;e=ve[e]}while(f<g&&-1==e);if(-1==e)break;h[h.length]=(3&d)<<6|e}return h}var Od="?".charCodeAt(0),Pd=String.fromCharCode,Qd=Array.prototype.slice,Rd=Object.prototype.toString,Sd=Object.prototype.hasOwnProperty,Td="undefined"!=typeof Uint8Array&&"undefined"!=typeof Uint16Array,Ud=!1,Vd=!1;try{"a"===Pd.apply(null,[97])&&(Ud=!0)}catch(a){}if(Td)try{"a"===Pd.apply(null,new Uint8Array([97]))&&(Vd=!0)}catch(a){}var Wd=65533,Xd=null,Yd="undefined"!=typeof globalThis?globalThis:"undefined"!=typeof self?self:"undefined"!=typeof window?window:"undefined"!=typeof global?global:{},Zd=Td&&"function"==typeof Yd.TextDecoder&&Yd.TextDecoder!==cd?Yd.TextDecoder:null,$d=Td&&"function"==typeof Yd.TextEncoder&&Yd.TextEncoder!==dd?Yd.TextEncoder:null,_d=Td&&"function"==typeof Buffer&&"function"==typeof Buffer.from&&Buffer.from!==Uint8Array.from,ae=Td&&1===new Uint8Array(new Uint16Array([1]).buffer)[0],be=64,ce=!0,de={UTF32:{order:10},UTF32BE:{alias:["UCS4"]},UTF32LE:null,UTF16:{order:20},UTF16BE:{alias:["UCS2"]},UTF16LE:null,BINARY:{order:30},ASCII:{order:40,alias:["ISO646","CP367","USASCII"]},UTF8:{order:50},CESU8:{order:60},MUTF8:{order:70,alias:["MODIFIEDUTF8","JAVAUTF8"]},UNICODE:{order:100}},ee={},fe=function(){return Gc(),Fc([])}(),ge={orders:fe,EncodingError:a,TextDecoder:cd,TextEncoder:dd,detect:function(a,b){var c=b
+;if(td(b)&&!ud(b)?c=b.encodings||b.encoding:b={},null==(a=xd(a))||0===a.length)return!1;var d=!1;b.maxBytes>0&&a.length>b.maxBytes&&(a=pd(a,0,b.maxBytes),d=!0),c=sd(c);var e,f,g,h=c.length;if(b.preferBOM)for(var i=Aa(a),j=0;null!==i&&j<h;j++)if(null!==(f=gd(c[j]))&&Ba(i,f))return f;for(var k=0;k<h;k++)if(e=c[k],null!==(f=gd(e))){if(g="is"+f,!Sd.call(he,g))throw new Error("Undefined encoding: "+e);if(wa(f,a,b,d))return f}return!1},detectAll:function(a,b){var c=b;if(td(b)&&!ud(b)&&(c=b.encodings),null==(a=xd(a))||0===a.length)return[];c=sd(c);for(var d,e,f,g,h=Ca(a),i=[],j=[],k=0,l=c.length;k<l;k++)if(d=c[k],null!==(e=gd(d))){if(f="is"+e,!Sd.call(he,f))throw new Error("Undefined encoding: "+d);g={bom:Ba(h.bom,e),invalid:Da(e,a),nulls:{even:h.nulls.even,odd:h.nulls.odd}},j[j.length]=i.length,i[i.length]={encoding:e,confidence:Ja(e,wa(e,a,b,!1),g,h),evidence:g}}j.sort(function(a,b){return i[b].confidence-i[a].confidence||a-b});var m=[];for(k=0,l=j.length;k<l;k++)m[k]=i[j[k]];return m},createDetector:function(a){return new Kc(a)},sniffBOM:function(a){return null!=(a=xd(a))&&0!==a.length&&(Aa(a)||!1)},sniff:function(a,b){b=b||{},null==(a=xd(a))&&(a=[]);var c=Aa(a);if(null!==c)return fd(c.encoding,"bom",null);var d=hd(b.contentType),e=gd(d);if(e)return fd(e,"content-type",d);for(var f=Ed(pd(a,0,te)),g=[["meta",id(f)],["xml",ld(f)],["css",md(f)]],h=0;h<g.length;h++)if(d=g[h][1],e=gd(d))return/^UTF(16|32)/.test(e)&&(e="UTF8"),fd(e,g[h][0],d);return e=ge.detect(a,b),fd(e,e?"detect":null,null)},explain:function(a,b,c){var d=Ic(b);if(!Sd.call(he,"is"+d))throw new Error("Undefined encoding: "+b);c=c||{},null==(a=xd(a))&&(a=[]);var e=!1;c.maxBytes>0&&a.length>c.maxBytes&&(a=pd(a,0,c.maxBytes),e=!0);var f,g=null;if(Sd.call(ie,d)){var h=ie[d],i=h.create(c);h.scan(i,a),f=h.end(i,e),f||(g=h.explain(i,e))}else f=he["is"+d](a,c);return f||g||(g=xa(-1,"REJECTED")),{encoding:d,valid:!!f,offset:g?g.offset:-1,reason:g?g.reason:null,message:g?za(g):null}},convert:function(a,b,c){var d,e,f={};td(b)&&(f=b,c=f.from,b=f.to,f.type&&(e=f.type)),sc(f),uc(f);var g=vc(f);vd(a)?(e=e||"string",a=Dd(a)):null!=(a=xd(a))&&0!==a.length||(a=[]);var h,i=gd(b);h=qd(c)?0===a.length?i:ge.detect(a,{encodings:c,maxBytes:f.maxBytes,allowControlChars:f.allowControlChars,preferBOM:f.preferBOM}):gd(c);var j=h+"To"+i,k=i,l=xc(h,i,f);if(l&&null==f.stripBOM&&(f=ad(f,{stripBOM:!0})),null!==g&&wc(h,i))d=yc(a,h,i,f,g);else if(Sd.call(ke,j))d=ke[j](a,f);else if(h!==i||null===i||l)if(wc(h,i))d=yc(a,h,i,f,null);else{if(!f.passthrough)throw null===i||null===h?Jc(null===i?b:c):h?new Error("Cannot convert "+h+" to "+i):new Error("Cannot detect the encoding to convert to "+i);d=a,k=h}else d=a;return nd(d,e,k)},createDecoder:function(a,b){return new Lc(a,b)},createEncoder:function(a,b){return new Mc(a,b)},createConvertStream:function(a){var b=Rc();if(!b)throw new Error("Node.js stream is not available");var c=new Nc(a),d="string"===Oc(c);return new b.Transform({readableObjectMode:d,transform:function(a,b,e){var f;try{f=c.write(a)}catch(a){return e(a)}Pc(this,f,d),e()},flush:function(a){var b;try{b=c.end()}catch(b){return a(b)}Pc(this,b,d),a()}})},createTransformStream:function(a){if("function"!=typeof TransformStream)throw new Error("TransformStream is not available");var b=new Nc(a),c="string"===Oc(b);return new TransformStream({transform:function(a,d){Qc(d,b.write(a),c)},flush:function(a){Qc(a,b.end(),c)}})},useNative:function(a){return null!=a&&(ce=!!a),ce&&(!!Zd||!!$d||_d)},defineSingleByteEncoding:function(a,b){a=Hc(a),b=b||{};var c=Tb(a,b.table,b.nl);return Ub(a,{alias:b.alias,order:b.order,decode:function(b,c){return _b(b,c,a)},encode:function(b,c){return ac(b,c,a)},scanner:cc(a)}),le[a]=c,a},registerEncoding:function(a,b){var c=Hc(a);if(!c)throw new Error("Invalid encoding name: "+a);if(b=b||{},null!=b.order&&"function"!=typeof b.detect)throw new Error("The detect function is required for the order: "+a);return Ub(c,{alias:b.aliases,order:b.order,decode:b.decode,encode:b.encode,scanner:b.detect?Yb(b.detect):null}),c},unregisterEncoding:function(a){var b=gd(a);if(null===b)return!1;if(!Sd.call(me,b))throw new Error("Cannot unregister the built-in encoding: "+a);return Wb(b),Gc(),Fc(ge.orders),!0},urlEncode:function(a){a=xd(a);for(var b,c=Hd("0123456789ABCDEF"),d=[],e=0,f=a&&a.length;e<f;e++){if((b=a[e])>255)return encodeURIComponent(Ed(a));b>=97&&b<=122||b>=65&&b<=90||b>=48&&b<=57||33===b||b>=39&&b<=42||45===b||46===b||95===b||126===b?d[d.length]=b:(d[d.length]=37,b<16?(d[d.length]=48,d[d.length]=c[b]):(d[d.length]=c[b>>4&15],d[d.length]=c[15&b]))}return Ed(d)},urlDecode:function(a){for(var b,c=[],d=0,e=a&&a.length;d<e;)b=a.charCodeAt(d++),c[c.length]=37===b?parseInt(a.charAt(d++)+a.charAt(d++),16):b;return c},base64Encode:function(a){return a=xd(a),Md(a)},base64Decode:function(a){return Nd(a)},codeToString:Ed,stringToCode:Hd,isWellFormed:function(a){return vd(a)&&(a=Dd(a)),-1===Ac(a)},toWellFormed:function(a){var b=vd(a);b&&(a=Dd(a));for(var c=[],d=a&&a.length,e=Ac(a),f=0;f<d;f++)f===e?(c[f]=65533,e=Ac(a,f+1)):c[f]=a[f];return b?Ed(c):c}},he={isBINARY:b,isASCII:g,isUTF8:l,isUTF16:s,isUTF16BE:t,isUTF16LE:u,isUTF32:T,isUTF32BE:U,isUTF32LE:V,isCESU8:ea,isMUTF8:fa,isUNICODE:qa},ie={BINARY:{create:c,scan:d,end:e,explain:f},ASCII:{create:h,scan:i,end:j,explain:k},UTF8:{create:m,scan:n,end:o,explain:p},UTF16:{create:v,scan:w,end:D,explain:H},UTF16BE:{create:v,scan:w,end:E,explain:I},UTF16LE:{create:v,scan:w,end:F,explain:J},UTF32:{create:W,scan:X,end:Z,explain:$},UTF32BE:{create:W,scan:X,end:ba,explain:_},UTF32LE:{create:W,scan:X,end:ca,explain:aa},CESU8:{create:ga,scan:ha,end:la,explain:oa},MUTF8:{create:ga,scan:ha,end:ma,explain:pa},UNICODE:{create:ra,scan:sa,end:ta,explain:ua}},je={NOT_BYTE:"not a byte value",CONTROL_CHARACTER:"control character",ESCAPE:"escape character",NON_ASCII_BYTE:"non-ASCII byte",UNEXPECTED_CONTINUATION:"unexpected continuation byte",OVERLONG_LEAD:"overlong lead byte",INVALID_LEAD:"invalid lead byte",INVALID_CONTINUATION:"invalid continuation byte",OVERLONG_SEQUENCE:"overlong sequence byte",SURROGATE:"encoded surrogate byte",OUT_OF_RANGE:"out of Unicode range",TRUNCATED_SEQUENCE:"truncated sequence",NO_BINARY_BYTE:"no binary byte",TOO_SHORT:"too short data",BOM_MISMATCH:"BOM of the other byte order",BYTE_ORDER:"guessed as the other byte order",UTF8_TEXT:"valid UTF-8 text without BOM",INVALID_SURROGATE:"invalid surrogate",IMPLAUSIBLE:"too few plausible characters",NO_NULL_BYTES:"no null bytes of UTF-32",NO_ASCII_CHARACTER:"no ASCII character around null bytes",INVALID_CODE_POINT:"invalid code point",LONE_SURROGATE:"lone surrogate",UNDEFINED_BYTE:"undefined byte",SUPPLEMENTARY_SEQUENCE:"4-byte sequence",MODIFIED_NULL:"modified null (0xC0 0x80)",NULL_BYTE:"null byte",NO_SURROGATE_PAIR:"no surrogate pair",NO_MODIFIED_NULL:"no modified null (0xC0 0x80)",REJECTED:"rejected by the detector",UNKNOWN_ENCODING:"unknown encoding",INVALID_FALLBACK:"invalid fallback byte"};a.prototype=Object.create(Error.prototype),a.prototype.constructor=a;var ke={UNICODEToUTF8:Ka,UTF8ToUNICODE:La,UNICODEToUTF16:Na,UTF16ToUNICODE:Ua,UNICODEToUTF16BE:Oa,UTF16BEToUNICODE:Sa,UNICODEToUTF16LE:Pa,UTF16LEToUNICODE:Ta,UTF8ToUTF16:ab,UTF16ToUTF8:bb,UTF8ToUTF16BE:cb,UTF16BEToUTF8:db,UTF8ToUTF16LE:eb,UTF16LEToUTF8:fb,UTF16ToUTF16BE:Va,UTF16BEToUTF16:Wa,UTF16ToUTF16LE:Xa,UTF16LEToUTF16:Ya,UTF16BEToUTF16LE:Za,UTF16LEToUTF16BE:$a,UNICODEToUTF32:gb,UTF32ToUNICODE:mb,UNICODEToUTF32BE:hb,UTF32BEToUNICODE:kb,UNICODEToUTF32LE:ib,UTF32LEToUNICODE:lb,UTF8ToUTF32:nb,UTF32ToUTF8:ob,UTF8ToUTF32BE:pb,UTF32BEToUTF8:qb,UTF8ToUTF32LE:rb,UTF32LEToUTF8:sb,UNICODEToASCII:ub,ASCIIToUNICODE:tb,UNICODEToCESU8:vb,CESU8ToUNICODE:wb,UTF8ToCESU8:Bb,CESU8ToUTF8:Cb,UTF16ToCESU8:Db,CESU8ToUTF16:Eb,UTF16BEToCESU8:Fb,CESU8ToUTF16BE:Gb,UTF16LEToCESU8:Hb,CESU8ToUTF16LE:Ib,UNICODEToMUTF8:xb,MUTF8ToUNICODE:yb,UTF8ToMUTF8:Jb,MUTF8ToUTF8:Kb,UTF16ToMUTF8:Lb,MUTF8ToUTF16:Mb,UTF16BEToMUTF8:Nb,MUTF8ToUTF16BE:Ob,UTF16LEToMUTF8:Pb,MUTF8ToUTF16LE:Qb,CESU8ToMUTF8:Rb,
+MUTF8ToCESU8:Sb},le={},me={},ne={UTF8:{label:"utf-8",invalid:[255]},UTF16LE:{label:"utf-16le",invalid:[0,216]},UTF16BE:{label:"utf-16be",invalid:[216,0]}},oe={},pe=null;Kc.prototype={push:function(a){if(this.ended)throw new Error("Detector has already ended");if(null==(a=xd(a))||0===a.length)return this;for(var b,c=[],d=0,e=this.scanners.length;d<e;d++)b=this.scanners[d],c[b.state]||(c[b.state]=!0,b.scanner.scan(this.states[b.state],a));return this.length+=a.length,this},detect:function(){return this._result(!this.ended)},end:function(a){return null!=a&&this.push(a),this.ended=!0,this._result(!1)},_result:function(a){if(0===this.length)return!1;for(var b,c=0,d=this.scanners.length;c<d;c++)if(b=this.scanners[c],b.scanner.end(this.states[b.state],a))return this.encodings[c];return!1}},Lc.prototype={write:function(a){return Uc(this,a,!1)},end:function(a){return Uc(this,a,!0)},_convert:function(a,b){return 0===this.offset&&(this.encoding=$c(this.encoding,a),this.input=this.encoding),"UNICODE"===this.encoding?a:ke[this.encoding+"ToUNICODE"](a,b)}},Mc.prototype={write:function(a){return Uc(this,a,!1)},end:function(a){return Uc(this,a,!0)},_convert:function(a,b){var c=this.encoding;return 0===this.offset&&(this.encoding=_c(c,b)),"UNICODE"===c?a:ke["UNICODETo"+c](a,b)}};var qe=4096;Nc.prototype={write:function(a){return this._write(a,!1)},end:function(a){return this._write(a,!0)},_write:function(a,b){if(this.ended)throw new Error("Stream has already ended");this.ended=b;var c=null==a?[]:xd(a);if(null===this.from){if(this.chunks[this.chunks.length]=c,this.length+=c.length,!b&&this.length<=this.maxBytes)return[];c=Sc(this.chunks),this.chunks=[],this._start(this._detect(c))}if(null===this.decoder)return c;var d=b?this.decoder.end(c):this.decoder.write(c);return null!==this.newline&&(d=Wc(this.pending,d),this.pending=[],b||13!==d[d.length-1]||(this.pending=[13],d=Qd.call(d,0,d.length-1)),d=zc(d,this.newline)),b?this.encoder.end(d):this.encoder.write(d)},_detect:function(a){var b=this.options,c=a.length>this.maxBytes;if(0===a.length)return this.to;var d=ge.detect(a,{encodings:b.from,maxBytes:this.maxBytes,allowControlChars:b.allowControlChars,preferBOM:b.preferBOM});return"ASCII"===d&&c&&rd(b.from,"UTF8")&&(d="UTF8"),d},_start:function(a){var b=this.options,c=this.to;this.from=a||!1;var d={type:"array"};if(xc(a,c,b))null==b.stripBOM&&(d.stripBOM=!0);else if(a===c&&null!==c&&null===this.newline)return;if(!wc(a,c)){if(b.passthrough)return;throw null===c||null===a?Jc(null===c?b.to:b.from):a?new Error("Cannot convert "+a+" to "+c):new Error("Cannot detect the encoding to convert to "+c)}this.decoder=new Lc(a,ad(b,d)),this.encoder=new Mc(c,ad(b,d))}};var re={"utf-8":{encoding:"UTF8",labels:["unicode-1-1-utf-8","unicode11utf8","unicode20utf8","utf-8","utf8","x-unicode20utf8"]},ibm866:{encoding:"CP866",labels:["866","cp866","csibm866","ibm866"]},"iso-8859-2":{encoding:"ISO88592",labels:["csisolatin2","iso-8859-2","iso-ir-101","iso8859-2","iso88592","iso_8859-2","iso_8859-2:1987","l2","latin2"]},"iso-8859-3":{encoding:"ISO88593",labels:["csisolatin3","iso-8859-3","iso-ir-109","iso8859-3","iso88593","iso_8859-3","iso_8859-3:1988","l3","latin3"]},"iso-8859-4":{encoding:"ISO88594",labels:["csisolatin4","iso-8859-4","iso-ir-110","iso8859-4","iso88594","iso_8859-4","iso_8859-4:1988","l4","latin4"]},"iso-8859-5":{encoding:"ISO88595",labels:["csisolatincyrillic","cyrillic","iso-8859-5","iso-ir-144","iso8859-5","iso88595","iso_8859-5","iso_8859-5:1988"]},"iso-8859-6":{encoding:"ISO88596",labels:["arabic","asmo-708","csiso88596e","csiso88596i","csisolatinarabic","ecma-114","iso-8859-6","iso-8859-6-e","iso-8859-6-i","iso-ir-127","iso8859-6","iso88596","iso_8859-6","iso_8859-6:1987"]},"iso-8859-7":{encoding:"ISO88597",labels:["csisolatingreek","ecma-118","elot_928","greek","greek8","iso-8859-7","iso-ir-126","iso8859-7","iso88597","iso_8859-7","iso_8859-7:1987","sun_eu_greek"]},"iso-8859-8":{encoding:"ISO88598",labels:["csiso88598e","csisolatinhebrew","hebrew","iso-8859-8","iso-8859-8-e","iso-ir-138","iso8859-8","iso88598","iso_8859-8","iso_8859-8:1988","visual"]},"iso-8859-8-i":{encoding:"ISO88598",labels:["csiso88598i","iso-8859-8-i","logical"]},"iso-8859-10":{encoding:"ISO885910",labels:["csisolatin6","iso-8859-10","iso-ir-157","iso8859-10","iso885910","l6","latin6"]},"iso-8859-13":{encoding:"ISO885913",labels:["iso-8859-13","iso8859-13","iso885913"]},"iso-8859-14":{encoding:"ISO885914",labels:["iso-8859-14","iso8859-14","iso885914"]},"iso-8859-15":{encoding:"ISO885915",labels:["csisolatin9","iso-8859-15","iso8859-15","iso885915","iso_8859-15","l9"]},"iso-8859-16":{encoding:"ISO885916",labels:["iso-8859-16"]},"koi8-r":{encoding:"KOI8R",labels:["cskoi8r","koi","koi8","koi8-r","koi8_r"]},"koi8-u":{encoding:"KOI8U",labels:["koi8-ru","koi8-u"]},macintosh:{encoding:"MACROMAN",labels:["csmacintosh","mac","macintosh","x-mac-roman"]},"windows-874":{encoding:"CP874",c1:!0,labels:["dos-874","iso-8859-11","iso8859-11","iso885911","tis-620","windows-874"]},"windows-1250":{encoding:"CP1250",c1:!0,labels:["cp1250","windows-1250","x-cp1250"]},"windows-1251":{encoding:"CP1251",c1:!0,labels:["cp1251","windows-1251","x-cp1251"]},"windows-1252":{encoding:"CP1252",c1:!0,labels:["ansi_x3.4-1968","ascii","cp1252","cp819","csisolatin1","ibm819","iso-8859-1","iso-ir-100","iso8859-1","iso88591","iso_8859-1","iso_8859-1:1987","l1","latin1","us-ascii","windows-1252","x-cp1252"]},"windows-1253":{encoding:"CP1253",c1:!0,labels:["cp1253","windows-1253","x-cp1253"]},"windows-1254":{encoding:"CP1254",c1:!0,labels:["cp1254","csisolatin5","iso-8859-9","iso-ir-148","iso8859-9","iso88599","iso_8859-9","iso_8859-9:1989","l5","latin5","windows-1254","x-cp1254"]},"windows-1255":{encoding:"CP1255",c1:!0,labels:["cp1255","windows-1255","x-cp1255"]},"windows-1256":{encoding:"CP1256",c1:!0,labels:["cp1256","windows-1256","x-cp1256"]},"windows-1257":{encoding:"CP1257",c1:!0,labels:["cp1257","windows-1257","x-cp1257"]},"windows-1258":{encoding:"CP1258",c1:!0,labels:["cp1258","windows-1258","x-cp1258"]},"x-mac-cyrillic":{encoding:"MACCYRILLIC",labels:["x-mac-cyrillic","x-mac-ukrainian"]},"utf-16be":{encoding:"UTF16BE",labels:["unicodefffe","utf-16be"]},"utf-16le":{encoding:"UTF16LE",labels:["csunicode","iso-10646-ucs-2","ucs-2","unicode","unicodefeff","utf-16","utf-16le"]}},se=null;cd.prototype={constructor:cd,decode:function(b,c){var d,e=!(!c||!c.stream),f=ed(b);null===this._decoder&&(this._decoder=new Lc(re[this.encoding].encoding,{errors:this.fatal?"fatal":"replace",stripBOM:!1,c1Controls:!!re[this.encoding].c1}),this._bomSeen=!1);try{d=e?this._decoder.write(f):this._decoder.end(f)}catch(b){if(this._decoder=null,b instanceof a)throw new TypeError("The encoded data was not valid for encoding "+this.encoding+": "+b.message);throw b}return e||(this._decoder=null),!this._bomSeen&&d.length>0&&(this._bomSeen=!0,this.ignoreBOM||65279!==d[0]||(d=Qd.call(d,1))),Ed(d)}},dd.prototype={constructor:dd,encode:function(a){var b=void 0===a?"":""+a,c=Ka(Hd(b),{loneSurrogates:"replace"});return Td?new Uint8Array(c):c},encodeInto:function(a,b){for(var c,d,e=Hd(""+a),f=Ka(e,{loneSurrogates:"replace"}),g=b.length,h=0,i=0,j=e.length;h<j&&(c=Ec(e,h),d=c<128?1:c<2048?2:c<65536?3:4,!(i+d>g));){for(var k=0;k<d;k++)b[i+k]=f[i+k];i+=d,h+=c>65535?2:1}return{read:h,written:i}}};var te=1024,ue=[65,66,67,68,69,70,71,72,73,74,75,76,77,78,79,80,81,82,83,84,85,86,87,88,89,90,97,98,99,100,101,102,103,104,105,106,107,108,109,110,111,112,113,114,115,116,117,118,119,120,121,122,48,49,50,51,52,53,54,55,56,57,43,47],ve=[-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,-1,62,-1,-1,-1,63,52,53,54,55,56,57,58,59,60,61,-1,-1,-1,-1,-1,-1,-1,0,1,2,3,4,5,6,7,8,9,10,11,12,13,14,15,16,17,18,19,20,21,22,23,24,25,-1,-1,-1,-1,-1,-1,26,27,28,29,30,31,32,33,34,35,36,37,38,39,40,41,42,43,44,45,46,47,48,49,50,51,-1,-1,-1,-1,-1],we="=".charCodeAt(0);return ge});
 //# sourceMappingURL=encoding.map
\ No newline at end of file